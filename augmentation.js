@@ -0,0 +1,149 @@
+/**
+ * Kinds of jittered variants a captured frame can be augmented with.
+ * @readonly
+ * @enum {string}
+ */
+const AugmentationType = {
+    /** The frame mirrored left to right. */
+    FLIP: 'flip',
+
+    /** A slightly zoomed in part of the frame. */
+    CROP: 'crop',
+
+    /** The frame a little brighter or darker, with more or less contrast. */
+    COLOR: 'color',
+
+    /** The frame turned a little clockwise or anticlockwise. */
+    ROTATE: 'rotate'
+};
+
+/**
+ * Largest zoom of a cropped variant, 1.2 keeps five sixths of the frame.
+ * @type {number}
+ */
+const MAX_ZOOM = 1.2;
+
+/**
+ * Largest change of brightness, as a share of the full range.
+ * @type {number}
+ */
+const MAX_BRIGHTNESS = 0.2;
+
+/**
+ * Largest change of contrast, as a factor away from 1.
+ * @type {number}
+ */
+const MAX_CONTRAST = 0.2;
+
+/**
+ * Largest rotation, in degrees either way.
+ * @type {number}
+ */
+const MAX_ROTATION = 10;
+
+/**
+ * A random number between two bounds.
+ * @param {number} min - the lower bound.
+ * @param {number} max - the upper bound.
+ * @returns {number} the random number.
+ */
+const between = (min, max) => min + (Math.random() * (max - min));
+
+/**
+ * Create a canvas of the size of a frame.
+ * @param {HTMLImageElement|HTMLCanvasElement} source - the frame.
+ * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}} the
+ *   canvas and its context.
+ */
+const createCanvas = source => {
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    return {canvas, ctx: canvas.getContext('2d')};
+};
+
+/**
+ * Draw one variant of a frame.
+ * @param {HTMLImageElement|HTMLCanvasElement} source - the frame.
+ * @param {AugmentationType} type - the kind of variant.
+ * @returns {HTMLCanvasElement} the variant, of the size of the frame.
+ */
+const drawVariant = (source, type) => {
+    const {canvas, ctx} = createCanvas(source);
+    const {width, height} = canvas;
+    switch (type) {
+    case AugmentationType.FLIP:
+        ctx.translate(width, 0);
+        ctx.scale(-1, 1);
+        ctx.drawImage(source, 0, 0, width, height);
+        break;
+    case AugmentationType.CROP: {
+        const zoom = between(1, MAX_ZOOM);
+        const cropWidth = width / zoom;
+        const cropHeight = height / zoom;
+        ctx.drawImage(source,
+            between(0, width - cropWidth), between(0, height - cropHeight), cropWidth, cropHeight,
+            0, 0, width, height);
+        break;
+    }
+    case AugmentationType.COLOR: {
+        ctx.drawImage(source, 0, 0, width, height);
+        const brightness = between(-MAX_BRIGHTNESS, MAX_BRIGHTNESS) * 255;
+        const contrast = between(1 - MAX_CONTRAST, 1 + MAX_CONTRAST);
+        const image = ctx.getImageData(0, 0, width, height);
+        const pixels = image.data;
+        for (let i = 0; i < pixels.length; i += 4) {
+            // Alpha is left alone; Uint8ClampedArray clamps to 0..255.
+            pixels[i] = ((pixels[i] - 128) * contrast) + 128 + brightness;
+            pixels[i + 1] = ((pixels[i + 1] - 128) * contrast) + 128 + brightness;
+            pixels[i + 2] = ((pixels[i + 2] - 128) * contrast) + 128 + brightness;
+        }
+        ctx.putImageData(image, 0, 0);
+        break;
+    }
+    case AugmentationType.ROTATE: {
+        const angle = between(-MAX_ROTATION, MAX_ROTATION) * Math.PI / 180;
+        // Zoom in just enough that the turned frame still covers the
+        // corners, so no blank wedges become part of the example.
+        const cos = Math.cos(Math.abs(angle));
+        const sin = Math.sin(Math.abs(angle));
+        const zoom = Math.max(cos + (sin * height / width), cos + (sin * width / height));
+        ctx.translate(width / 2, height / 2);
+        ctx.rotate(angle);
+        ctx.scale(zoom, zoom);
+        ctx.drawImage(source, -width / 2, -height / 2, width, height);
+        break;
+    }
+    }
+    return canvas;
+};
+
+/**
+ * Draw jittered variants of a captured frame, to be added as extra
+ * examples. Every variant but the flipped one gets its own random
+ * parameters; a mirrored frame is always the same, so at most one flipped
+ * variant is made.
+ * @param {HTMLImageElement|HTMLCanvasElement} source - the captured frame.
+ * @param {Object.<AugmentationType, number>} counts - how many variants of
+ *   every kind to draw.
+ * @returns {Array.<HTMLCanvasElement>} the variants, of the size of the frame.
+ */
+const augmentFrame = (source, counts) => {
+    const variants = [];
+    Object.keys(AugmentationType).forEach(key => {
+        const type = AugmentationType[key];
+        let count = Math.max(0, Math.round(counts[type] || 0));
+        if (type === AugmentationType.FLIP) {
+            count = Math.min(count, 1);
+        }
+        for (let i = 0; i < count; i++) {
+            variants.push(drawVariant(source, type));
+        }
+    });
+    return variants;
+};
+
+export {
+    AugmentationType,
+    augmentFrame
+};
@@ -0,0 +1,148 @@
+import {loadCostume} from '../../import/load-costume.js';
+
+/**
+ * Padding around the text of a table cell, in pixels.
+ * @type {number}
+ */
+const CELL_PADDING = 6;
+
+/**
+ * Height of a table row, in pixels.
+ * @type {number}
+ */
+const ROW_HEIGHT = 24;
+
+/**
+ * Width and height of a sample thumbnail, in pixels.
+ * @type {Array.<number>}
+ */
+const THUMBNAIL_SIZE = [96, 72];
+
+/**
+ * Turn a base64 data URL into its bytes.
+ * @param {string} dataURL - the data URL.
+ * @returns {Uint8Array} the decoded bytes.
+ */
+const dataURLToBytes = dataURL => {
+    const binary = atob(dataURL.slice(dataURL.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+/**
+ * Show an image on a sprite as a costume. A costume with the same name is
+ * replaced, so calling this repeatedly does not pile up costumes.
+ * @param {Runtime} runtime - the runtime the sprite belongs to.
+ * @param {RenderedTarget} target - the sprite to dress.
+ * @param {HTMLCanvasElement|string} image - a canvas, or a PNG or JPEG data
+ *   URL.
+ * @param {string} name - the name of the costume.
+ * @returns {Promise} resolved once the sprite wears the costume.
+ */
+const setCostumeFromImage = (runtime, target, image, name) => {
+    const dataURL = typeof image === 'string' ? image : image.toDataURL('image/png');
+    const storage = runtime.storage;
+    const dataFormat = dataURL.startsWith('data:image/jpeg') ? storage.DataFormat.JPG : storage.DataFormat.PNG;
+    const asset = storage.createAsset(
+        storage.AssetType.ImageBitmap,
+        dataFormat,
+        dataURLToBytes(dataURL),
+        null,
+        true
+    );
+    const costume = {
+        name,
+        dataFormat,
+        asset,
+        assetId: asset.assetId,
+        md5: `${asset.assetId}.${dataFormat}`,
+        // Without a rotation center the image is centred on the sprite.
+        bitmapResolution: 1
+    };
+    return loadCostume(costume.md5, costume, runtime).then(loaded => {
+        const existing = target.getCostumeIndexByName(name);
+        if (existing === -1) {
+            target.addCostume(loaded);
+            target.setCostume(target.getCostumes().length - 1);
+        } else {
+            // The sprite renames a costume added under a name it already
+            // has, so the original name is given back once the old costume
+            // is gone. Adding first keeps a sprite from being left without
+            // costumes.
+            target.addCostume(loaded, existing);
+            target.deleteCostume(existing + 1);
+            target.renameCostume(existing, name);
+            target.setCostume(existing);
+        }
+        runtime.requestTargetsUpdate(target);
+    });
+};
+
+/**
+ * Draw a table of text, with a header row and a header column.
+ * @param {Array.<Array.<string>>} rows - the text of every cell, row by row.
+ * @param {function} [cellColor] - called with the row and column of every
+ *   body cell, returns its background colour or null for none.
+ * @returns {HTMLCanvasElement} the drawn table.
+ */
+const drawTable = (rows, cellColor = () => null) => {
+    const cellText = (row, column) => (row[column] === undefined ? '' : String(row[column]));
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const font = '14px Helvetica, Arial, sans-serif';
+    ctx.font = font;
+    const columnCount = Math.max(...rows.map(row => row.length));
+    const widths = [];
+    for (let column = 0; column < columnCount; column++) {
+        widths.push(Math.max(...rows.map(row => ctx.measureText(cellText(row, column)).width)) +
+            (CELL_PADDING * 2));
+    }
+    canvas.width = Math.ceil(widths.reduce((total, width) => total + width, 0)) + 1;
+    canvas.height = (rows.length * ROW_HEIGHT) + 1;
+    // Resizing the canvas resets its state.
+    ctx.font = font;
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    rows.forEach((row, rowIndex) => {
+        let x = 0;
+        for (let column = 0; column < columnCount; column++) {
+            const y = rowIndex * ROW_HEIGHT;
+            const isHeader = rowIndex === 0 || column === 0;
+            const color = isHeader ? '#e9eef2' : cellColor(rowIndex - 1, column - 1);
+            if (color) {
+                ctx.fillStyle = color;
+                ctx.fillRect(x, y, widths[column], ROW_HEIGHT);
+            }
+            ctx.strokeStyle = '#999999';
+            ctx.strokeRect(x + 0.5, y + 0.5, widths[column], ROW_HEIGHT);
+            ctx.fillStyle = '#333333';
+            ctx.fillText(cellText(row, column), x + CELL_PADDING, y + (ROW_HEIGHT / 2));
+            x += widths[column];
+        }
+    });
+    return canvas;
+};
+
+/**
+ * Shrink an image into a thumbnail small enough to be saved with every
+ * training sample.
+ * @param {HTMLImageElement|HTMLCanvasElement} image - the image.
+ * @returns {string} the thumbnail as a JPEG data URL.
+ */
+const makeThumbnail = image => {
+    const canvas = document.createElement('canvas');
+    canvas.width = THUMBNAIL_SIZE[0];
+    canvas.height = THUMBNAIL_SIZE[1];
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.8);
+};
+
+export {
+    setCostumeFromImage,
+    drawTable,
+    makeThumbnail
+};
@@ -0,0 +1,251 @@
+import * as tf from '@tensorflow/tfjs';
+
+/**
+ * Version of the serialized dataset format. Bump it whenever the shape of
+ * the object returned by `serializeDataset` changes.
+ * @type {number}
+ */
+const DATASET_VERSION = 2;
+
+/**
+ * Encode the bytes of a Float32Array as a base64 string.
+ * @param {Float32Array} floats - the values to encode.
+ * @returns {string} the base64 encoded bytes.
+ */
+const floatsToBase64 = floats => {
+    const bytes = new Uint8Array(floats.buffer, floats.byteOffset, floats.byteLength);
+    let binary = '';
+    // Convert in chunks so String.fromCharCode does not exceed the maximum
+    // number of arguments on big datasets.
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+/**
+ * Decode a base64 string produced by `floatsToBase64`.
+ * @param {string} str - the base64 encoded bytes.
+ * @returns {Float32Array} the decoded values.
+ */
+const base64ToFloats = str => {
+    const binary = atob(str);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Float32Array(bytes.buffer);
+};
+
+/**
+ * Serialize the examples of one KNN classifier.
+ * @param {KNNClassifier} classifier - the classifier to read examples from.
+ * @param {Object.<string, Array.<number>>} norms - the length every example
+ *   had before the classifier normalized it, by class index.
+ * @param {Object.<string, Array.<?string>>} thumbnails - the thumbnail data
+ *   URL of every example, by class index.
+ * @param {Object.<string, Array.<number>>} groups - the group of every
+ *   example, by class index.
+ * @returns {object} the shape, base64 encoded values, example lengths,
+ *   thumbnails and groups of every class index.
+ */
+const serializeClasses = (classifier, norms, thumbnails, groups) => {
+    const dataset = classifier.getClassifierDataset();
+    const classes = {};
+    Object.keys(dataset).forEach(classIndex => {
+        const matrix = dataset[classIndex];
+        if (!matrix) return;
+        classes[classIndex] = {
+            shape: matrix.shape.slice(),
+            data: floatsToBase64(matrix.dataSync()),
+            norms: norms[classIndex] ? norms[classIndex].slice() : undefined,
+            thumbnails: thumbnails[classIndex] ? thumbnails[classIndex].slice() : undefined,
+            groups: groups[classIndex] ? groups[classIndex].slice() : undefined
+        };
+    });
+    return classes;
+};
+
+/**
+ * Serialize the examples held by every named KNN classifier together with
+ * their label names and settings into a plain JSON-compatible object.
+ * @param {Object.<string, {classifier: KNNClassifier, labels: Array.<?string>,
+ *   norms: Object.<string, Array.<number>>,
+ *   thumbnails: Object.<string, Array.<?string>>,
+ *   groups: Object.<string, Array.<number>>, settings: object}>}
+ *   classifiers - by name, the classifier to read examples from, the label
+ *   name of every class index (null where there is none), the length every
+ *   example had before the classifier normalized it, the thumbnail and group
+ *   of every example and how the classifier predicts.
+ * @param {object} options - what else to save with the classifiers.
+ * @param {string} options.selected - the name of the selected classifier.
+ * @param {object} [options.features] - how the examples were computed.
+ * @param {number} [options.features.mobilenetVersion] - the MobileNet version.
+ * @param {string} [options.features.endpoint] - the MobileNet layer of the
+ *   examples.
+ * @param {number} [options.features.alpha] - the MobileNet width multiplier.
+ * @returns {object} the serialized dataset.
+ */
+const serializeDataset = (classifiers, {selected, features = {}}) => {
+    const serialized = {};
+    Object.keys(classifiers).forEach(name => {
+        const {classifier, labels, norms = {}, thumbnails = {}, groups = {}, settings = {}} = classifiers[name];
+        serialized[name] = {
+            labels: labels.slice(),
+            settings: Object.assign({}, settings),
+            classes: serializeClasses(classifier, norms, thumbnails, groups)
+        };
+    });
+    return {
+        version: DATASET_VERSION,
+        mobilenetVersion: features.mobilenetVersion,
+        endpoint: features.endpoint,
+        alpha: features.alpha,
+        selected,
+        classifiers: serialized
+    };
+};
+
+/**
+ * Validate one serialized classifier and decode its examples.
+ * @param {string} name - the classifier name, for error messages.
+ * @param {object} entry - the serialized classifier.
+ * @returns {{labels: Array.<?string>, settings: object,
+ *   classes: Array.<Array>}} the label names, the settings and the class
+ *   index, values, shape, example lengths, thumbnails and groups of every
+ *   class.
+ */
+const validateClassifier = (name, entry) => {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`KNN classifier ${name} is not an object.`);
+    }
+    if (!Array.isArray(entry.labels) || !entry.classes || typeof entry.classes !== 'object') {
+        throw new Error(`KNN classifier ${name} is missing its labels or classes.`);
+    }
+    if (entry.settings != null && (typeof entry.settings !== 'object' || Array.isArray(entry.settings))) {
+        throw new Error(`KNN classifier ${name} has invalid settings.`);
+    }
+    const classes = Object.keys(entry.classes).map(classIndex => {
+        const item = entry.classes[classIndex];
+        const shape = item && item.shape;
+        if (!Array.isArray(shape) || shape.length !== 2 || typeof item.data !== 'string') {
+            throw new Error(`KNN classifier ${name} class ${classIndex} is malformed.`);
+        }
+        const values = base64ToFloats(item.data);
+        if (values.length !== shape[0] * shape[1]) {
+            throw new Error(`KNN classifier ${name} class ${classIndex} does not match its shape.`);
+        }
+        if (item.norms != null && (!Array.isArray(item.norms) || item.norms.length !== shape[0])) {
+            throw new Error(`KNN classifier ${name} class ${classIndex} has invalid example lengths.`);
+        }
+        if (item.thumbnails != null && (!Array.isArray(item.thumbnails) ||
+            item.thumbnails.length !== shape[0] ||
+            item.thumbnails.some(thumbnail => thumbnail != null && typeof thumbnail !== 'string'))) {
+            throw new Error(`KNN classifier ${name} class ${classIndex} has invalid thumbnails.`);
+        }
+        if (item.groups != null && (!Array.isArray(item.groups) ||
+            item.groups.length !== shape[0] ||
+            item.groups.some(group => typeof group !== 'number'))) {
+            throw new Error(`KNN classifier ${name} class ${classIndex} has invalid groups.`);
+        }
+        return [classIndex, values, shape, item.norms, item.thumbnails, item.groups];
+    });
+    return {
+        labels: entry.labels.map(label => (label == null ? null : String(label))),
+        settings: entry.settings || {},
+        classes
+    };
+};
+
+/**
+ * Validate a serialized dataset and turn it back into tensors. A dataset
+ * saved before there were named classifiers holds a single classifier.
+ * @param {object} data - an object produced by `serializeDataset`.
+ * @param {string} defaultName - the name a single classifier dataset is
+ *   restored as.
+ * @returns {{mobilenetVersion: ?number, endpoint: ?string, alpha: ?number,
+ *   selected: string, classifiers: Object.<string, {labels: Array.<?string>,
+ *   settings: object, norms: Object.<string, Array.<number>>,
+ *   thumbnails: Object.<string, Array.<?string>>,
+ *   groups: Object.<string, Array.<number>>,
+ *   dataset: Object.<string, tf.Tensor2D>}>}} the feature settings when
+ *   recorded, the name of the selected classifier and, by name, the label
+ *   names, settings, example lengths, thumbnails and groups of the classes
+ *   that recorded them and the tensors for `setClassifierDataset` of every
+ *   classifier.
+ */
+const deserializeDataset = (data, defaultName) => {
+    if (!data || typeof data !== 'object') {
+        throw new Error('KNN dataset is not an object.');
+    }
+    if (data.version !== 1 && data.version !== DATASET_VERSION) {
+        throw new Error(`Unsupported KNN dataset version ${data.version}.`);
+    }
+    if (data.mobilenetVersion != null && typeof data.mobilenetVersion !== 'number') {
+        throw new Error('KNN dataset has an invalid MobileNet version.');
+    }
+    if (data.endpoint != null && typeof data.endpoint !== 'string') {
+        throw new Error('KNN dataset has an invalid feature endpoint.');
+    }
+    if (data.alpha != null && typeof data.alpha !== 'number') {
+        throw new Error('KNN dataset has an invalid MobileNet alpha.');
+    }
+    const entries = data.version === 1 ? {[defaultName]: data} : data.classifiers;
+    if (!entries || typeof entries !== 'object' || !Object.keys(entries).length) {
+        throw new Error('KNN dataset has no classifiers.');
+    }
+    const validated = {};
+    Object.keys(entries).forEach(name => {
+        validated[name] = validateClassifier(name, entries[name]);
+    });
+    // Only create tensors once everything validated, so a bad file does not
+    // leak memory.
+    const classifiers = {};
+    Object.keys(validated).forEach(name => {
+        const {labels, settings, classes} = validated[name];
+        const dataset = {};
+        const norms = {};
+        const thumbnails = {};
+        const groups = {};
+        classes.forEach(([classIndex, values, shape, classNorms, classThumbnails, classGroups]) => {
+            dataset[classIndex] = tf.tensor2d(values, shape);
+            if (classNorms) {
+                norms[classIndex] = classNorms.map(norm => Number(norm));
+            }
+            if (classThumbnails) {
+                thumbnails[classIndex] = classThumbnails.map(thumbnail => thumbnail || null);
+            }
+            if (classGroups) {
+                groups[classIndex] = classGroups.slice();
+            }
+        });
+        classifiers[name] = {labels, settings, norms, thumbnails, groups, dataset};
+    });
+    return {
+        mobilenetVersion: data.mobilenetVersion == null ? null : data.mobilenetVersion,
+        endpoint: data.endpoint == null ? null : data.endpoint,
+        alpha: data.alpha == null ? null : data.alpha,
+        selected: typeof data.selected === 'string' && classifiers[data.selected] ? data.selected : Object.keys(classifiers)[0],
+        classifiers
+    };
+};
+
+/**
+ * Whether a serialized dataset holds any examples, without decoding it.
+ * @param {object} data - an object produced by `serializeDataset`.
+ * @returns {boolean} true when any classifier has examples.
+ */
+const hasExamples = data => {
+    if (!data || typeof data !== 'object') {
+        return false;
+    }
+    const entries = data.version === 1 ? [data] : Object.keys(data.classifiers || {}).map(name => data.classifiers[name]);
+    return entries.some(entry => entry && Object.keys(entry.classes || {}).length > 0);
+};
+
+export {
+    DATASET_VERSION,
+    serializeDataset,
+    deserializeDataset,
+    hasExamples
+};
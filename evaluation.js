@@ -0,0 +1,127 @@
+import * as tf from '@tensorflow/tfjs';
+import {listExamples, toDistance, vote} from './neighbours.js';
+
+/**
+ * How many examples are compared with all others at a time. Between chunks
+ * the page gets a frame, so evaluating a big dataset does not freeze it, and
+ * only this many rows of similarities are held at once.
+ * @type {number}
+ */
+const CHUNK_SIZE = 64;
+
+/**
+ * Estimate how well KNN classifies the stored examples by cross-validation:
+ * every example is classified by the examples outside its fold. Examples of
+ * the same group, e.g. a captured frame and its augmented variants, always
+ * share a fold, so near-duplicates of an example can not vote for it. With
+ * no folds every group is its own fold, which is leave-one-out.
+ * @param {Object.<string, tf.Tensor2D>} dataset - the examples of every
+ *   class index, as returned by `getClassifierDataset`.
+ * @param {object} options - how to classify.
+ * @param {number} options.k - how many neighbours vote.
+ * @param {number} [options.folds] - how many folds to split the examples
+ *   into. Less than 2 means leave-one-out.
+ * @param {DistanceMetric} [options.metric] - how to measure the distance.
+ * @param {Object.<string, Array.<number>>} [options.norms] - the original
+ *   length of every example by class index.
+ * @param {Object.<string, Array.<number>>} [options.groups] - the group of
+ *   every example by class index. Examples without one are a group of their
+ *   own.
+ * @param {boolean} [options.weighted] - whether nearer neighbours count more.
+ * @returns {Promise.<{total: number, correct: number,
+ *   classes: Object.<string, {total: number, correct: number}>,
+ *   confusion: Object.<string, Object.<string, number>>}>} how many examples
+ *   were classified correctly, overall and per class index, and how often
+ *   every class index (outer key) was predicted as every class index (inner
+ *   key).
+ */
+const crossValidate = (dataset, {k, folds = 0, metric, norms = {}, groups = {}, weighted = false}) => {
+    const {classIndices, examples} = listExamples(dataset, norms);
+    // Number the groups in the order they first appear. Examples are listed
+    // class by class, so dealing groups out in turn keeps every class in
+    // every fold.
+    const groupNumbers = {};
+    let groupCount = 0;
+    const groupOf = examples.map(({classIndex, index}) => {
+        const classGroups = groups[classIndex];
+        const key = classGroups && classGroups[index] !== undefined ?
+            `${classIndex}:${classGroups[index]}` :
+            `${classIndex}#${index}`;
+        if (!(key in groupNumbers)) {
+            groupNumbers[key] = groupCount++;
+        }
+        return groupNumbers[key];
+    });
+    const result = {
+        total: 0,
+        correct: 0,
+        classes: {},
+        confusion: {}
+    };
+    classIndices.forEach(actual => {
+        result.classes[actual] = {total: 0, correct: 0};
+        result.confusion[actual] = {};
+        classIndices.forEach(predicted => {
+            result.confusion[actual][predicted] = 0;
+        });
+    });
+    if (examples.length < 2) {
+        return Promise.resolve(result);
+    }
+    const count = examples.length;
+    const foldOf = i => (folds > 1 ? groupOf[i] % folds : groupOf[i]);
+    const classify = (i, values) => {
+        const neighbours = [];
+        for (let j = 0; j < count; j++) {
+            if (foldOf(j) === foldOf(i)) continue;
+            neighbours.push({
+                classIndex: examples[j].classIndex,
+                index: examples[j].index,
+                distance: toDistance(values[j], examples[i].norm, examples[j].norm, metric)
+            });
+        }
+        if (!neighbours.length) return;
+        neighbours.sort((a, b) => a.distance - b.distance);
+        const predicted = vote(neighbours.slice(0, k), classIndices, weighted).classIndex;
+        const actual = examples[i].classIndex;
+        result.total++;
+        result.classes[actual].total++;
+        result.confusion[actual][predicted]++;
+        if (predicted === actual) {
+            result.correct++;
+            result.classes[actual].correct++;
+        }
+    };
+    // concat hands back its only input unchanged, and the matrix is disposed
+    // below, so a single class is copied instead.
+    const matrix = classIndices.length > 1 ?
+        tf.concat(classIndices.map(classIndex => dataset[classIndex]), 0) :
+        dataset[classIndices[0]].clone();
+    const classifyFrom = start => {
+        if (start >= count) {
+            return Promise.resolve();
+        }
+        const size = Math.min(CHUNK_SIZE, count - start);
+        const similarities = tf.tidy(() => matrix.slice([start, 0], [size, -1]).matMul(matrix, false, true));
+        return similarities.data()
+            .then(values => {
+                similarities.dispose();
+                for (let i = start; i < start + size; i++) {
+                    classify(i, values.subarray((i - start) * count, (i - start + 1) * count));
+                }
+                return tf.nextFrame();
+            })
+            .then(() => classifyFrom(start + size));
+    };
+    return classifyFrom(0).then(() => {
+        matrix.dispose();
+        return result;
+    }, e => {
+        matrix.dispose();
+        throw e;
+    });
+};
+
+export {
+    crossValidate
+};
@@ -6,10 +6,23 @@ const BlockType = require('../../extension-support/block-type');
 const Clone = require('../../util/clone');
 const Cast = require('../../util/cast');
 const Video = require('../../io/video');
+const uid = require('../../util/uid');
+const Variable = require('../../engine/variable');
 const formatMessage = require('format-message');
 import * as tf from '@tensorflow/tfjs';
 import * as mobilenetModule from './mobilenet.js';
-import * as knnClassifier from '@tensorflow-models/knn-classifier';
+import {serializeDataset, deserializeDataset, hasExamples} from './dataset.js';
+import {saveSession, loadSession, clearSession} from './session-store.js';
+import NamedClassifier, {
+    ClassifierMode,
+    VotingMode,
+    SmoothingMode,
+    EvictionPolicy,
+    SimilarityMode
+} from './named-classifier.js';
+import {DistanceMetric, toSimilarityScore, findNeighbours} from './neighbours.js';
+import {setCostumeFromImage, drawTable, makeThumbnail} from './costume.js';
+import {AugmentationType, augmentFrame} from './augmentation.js';
 
 /**
  * Sensor attribute video sensor block should report.
@@ -53,18 +66,38 @@ const VideoState = {
     ON_FLIPPED: 'on-flipped'
 };
 
-let typeArr = [
-    '1',
-    '2',
-    '3',
-    '4',
-    '5',
-    '6',
-    '7',
-    '8',
-    '9',
-    '10'
-]
+/**
+ * States the MobileNet model can be in.
+ * @readonly
+ * @enum {string}
+ */
+const ModelStatus = {
+    /** The weights are being downloaded. */
+    LOADING: 'loading',
+
+    /** The model can be used. */
+    READY: 'ready',
+
+    /** The model could not be loaded. */
+    FAILED: 'failed'
+};
+
+/**
+ * What the "nearest sample" reporter can report about the training example
+ * closest to the current frame.
+ * @readonly
+ * @enum {string}
+ */
+const NearestSampleProperty = {
+    /** The label of the example. */
+    LABEL: 'label',
+
+    /** How far the example is from the frame. */
+    DISTANCE: 'distance',
+
+    /** The number of the example within its label, counting from 1. */
+    NUMBER: 'number'
+};
 
 /**
  * Class for the motion-related blocks in Scratch 3.0
@@ -74,9 +107,102 @@ let typeArr = [
 class Scratch3Knn {
     constructor(runtime) {
         this.knn = null
-        this.trainTypes = typeArr.map(item => {
-            return 'label' + item
-        })
+        /**
+         * The classifiers by name. Each has its own labels, examples and
+         * settings; they share MobileNet.
+         * @type {Object.<string, NamedClassifier>}
+         */
+        this.classifiers = {}
+        /**
+         * The name of the classifier the label, settings and evaluation
+         * blocks apply to.
+         * @type {string}
+         */
+        this.classifierName = Scratch3Knn.DEFAULT_CLASSIFIER_NAME
+        /**
+         * The MobileNet layer whose activations are used as examples.
+         * @type {string}
+         */
+        this.endpoint = 'conv_preds'
+        /**
+         * The version of the loaded MobileNet, 1 or 2.
+         * @type {number}
+         */
+        this.version = 1
+        /**
+         * The width multiplier of the loaded MobileNet.
+         * @type {number}
+         */
+        this.alpha = 1.0
+        /**
+         * The model.json URL, or ordered list of URLs, MobileNet is loaded
+         * from. Null tries the bundled copy first and then the remote host,
+         * for whichever model size is in use; a fixed URL ignores the size.
+         * @type {?(string|Array.<string>)}
+         */
+        this.modelUrl = null
+        /**
+         * Whether MobileNet is loading, ready or failed to load.
+         * @type {ModelStatus}
+         */
+        this.modelStatus = ModelStatus.LOADING
+        /**
+         * The message of the error MobileNet failed to load with.
+         * @type {string}
+         */
+        this.modelError = ''
+        /**
+         * Percentage of MobileNet's weight shards downloaded.
+         * @type {number}
+         */
+        this.modelProgress = 0
+        /**
+         * How many jittered variants of every kind are added along with
+         * every captured frame.
+         * @type {Object.<AugmentationType, number>}
+         */
+        this.augmentation = {}
+        /**
+         * The running burst capture, replaced when another one starts and
+         * cleared when it finished or the project stopped.
+         * @type {?object}
+         */
+        this._capture = null
+        /**
+         * The embedding captured by "capture reference", unit length, as a
+         * one row matrix. Null until one was captured, and again once the
+         * model, the layer or the project changed.
+         * @type {?tf.Tensor2D}
+         */
+        this.reference = null
+        /**
+         * The embedding of the last analysed video frame with the model and
+         * layer it was computed with, shared by the reporters that compare
+         * the camera with examples so MobileNet does not run for each of
+         * them. Null until a frame was analysed.
+         * @type {?{logits: tf.Tensor, mobilenet: MobileNet, endpoint: string, time: number}}
+         */
+        this._frameEmbedding = null
+        /**
+         * The project's saved dataset while it could not be restored because
+         * MobileNet failed to load. It is restored once a model loads, and
+         * nothing is saved over it until then.
+         * @type {?string}
+         */
+        this._pendingDataset = null
+        /**
+         * The running restore of the project's saved dataset, null when there
+         * is none.
+         * @type {?Promise}
+         */
+        this._pendingRestore = null
+        /**
+         * The label last trained by each of the old fixed slot blocks
+         * "Train 1" to "Train 3", which "Sample1" to "Sample3" count. A slot
+         * starts out with the name old projects gave it.
+         * @type {Array.<string>}
+         */
+        this._slotLabels = ['label1', 'label2', 'label3']
         this.knnInit()
         /**
          * The runtime instantiating this block package.
@@ -95,6 +221,9 @@ class Scratch3Knn {
             // Clear target motion state values when the project starts.
             this.runtime.on(Runtime.PROJECT_RUN_START, this.reset.bind(this));
 
+            // The stop sign ends a burst capture along with its script.
+            this.runtime.on(Runtime.PROJECT_STOP_ALL, this._stopCapture.bind(this));
+
             // Kick off looping the analysis logic.
             // this._loop();
 
@@ -106,12 +235,22 @@ class Scratch3Knn {
             this.videoToggle({
                 VIDEO_STATE: this.globalVideoState
             });
+
+            // Restore the trained examples saved with a newly loaded project,
+            // or with the project that is already open. While a project is
+            // being loaded there is no stage yet, and it is only complete
+            // once PROJECT_LOADED fired.
+            this.runtime.on(Runtime.PROJECT_LOADED, this._onProjectLoaded.bind(this));
+            if (this.runtime.getTargetForStage()) {
+                this._onProjectLoaded();
+            }
         }
 
-        setInterval(async () => {
+        setInterval(() => {
             if (this.globalVideoState === VideoState.ON) {
-                await this.gotResult()
-                console.log('knn result:', this.trainResult)
+                this.gotResult().catch(e => {
+                    console.error('failed to classify video frame:', e)
+                })
             }
         }, this.KNN_INTERVAL)
     }
@@ -142,6 +281,69 @@ class Scratch3Knn {
         return 'Scratch.videoSensing';
     }
 
+    /**
+     * The id of the stage variable the trained dataset is saved into, so it
+     * is stored with the project file.
+     * @type {string}
+     */
+    static get DATASET_VARIABLE_ID() {
+        return 'cxknn_dataset';
+    }
+
+    /**
+     * The name of the stage variable the trained dataset is saved into.
+     * @type {string}
+     */
+    static get DATASET_VARIABLE_NAME() {
+        return 'knn dataset';
+    }
+
+    /**
+     * The type of the stage variable the trained dataset is saved into. The
+     * palette only lists variables of the scalar and list types, so students
+     * can not show, edit or delete it. The project file stores it like a
+     * scalar; it gets this type back when the project is loaded.
+     * @type {string}
+     */
+    static get DATASET_VARIABLE_TYPE() {
+        return 'knn_dataset';
+    }
+
+    /**
+     * The serialized dataset size, in characters, above which the user is
+     * warned that the project file may become too large to save.
+     * @type {number}
+     */
+    static get DATASET_SIZE_WARNING() {
+        return 10 * 1024 * 1024;
+    }
+
+    /**
+     * The amount of milliseconds to wait after the dataset changed before it
+     * is written to the stage and checkpointed to IndexedDB, so a burst of
+     * training is saved only once.
+     * @type {number}
+     */
+    static get DATASET_STORE_DELAY() {
+        return 1000;
+    }
+
+    /**
+     * The name of the file `exportModel` downloads.
+     * @type {string}
+     */
+    static get MODEL_FILE_NAME() {
+        return 'knn-model.json';
+    }
+
+    /**
+     * The name of the classifier used until a block selects another one.
+     * @type {string}
+     */
+    static get DEFAULT_CLASSIFIER_NAME() {
+        return 'default';
+    }
+
     /**
      * The default motion-related state, to be used when a target has no existing motion state.
      * @type {MotionState}
@@ -365,550 +567,3136 @@ class Scratch3Knn {
 
 
     /**
-     * @returns {object} metadata for this extension and its blocks.
+     * An array of info on MobileNet sizes for the "use model size [SIZE]"
+     * block. Smaller models are faster but less accurate.
+     * @type {object[]} an array of objects
+     * @param {string} name - the translatable name to display in the size menu
+     * @param {string} value - the MobileNet width multiplier (alpha)
      */
-    getInfo() {
-        return {
-            id: 'cxknn',
-            name: 'KNN Classifier',
-            blocks: [
-                {
-                    opcode: 'videoToggle',
-                    text: formatMessage({
-                        id: 'videoSensing.videoToggle',
-                        default: 'turn video [VIDEO_STATE]',
-                        description: 'Controls display of the video preview layer'
-                    }),
-                    arguments: {
-                        VIDEO_STATE: {
-                            type: ArgumentType.NUMBER,
-                            menu: 'VIDEO_STATE',
-                            defaultValue: VideoState.ON
-                        }
-                    }
-                },
-                {
-                    opcode: 'setVideoTransparency',
-                    text: formatMessage({
-                        id: 'videoSensing.setVideoTransparency',
-                        default: 'set video transparency to [TRANSPARENCY]',
-                        description: 'Controls transparency of the video preview layer'
-                    }),
-                    arguments: {
-                        TRANSPARENCY: {
-                            type: ArgumentType.NUMBER,
-                            defaultValue: 10
-                        }
-                    }
-                },
-                {
-                    opcode: 'isloaded',
-                    blockType: BlockType.BOOLEAN,
-                    text: formatMessage({
-                        id: 'knn.isloaded',
-                        default: 'is loaded',
-                        description: 'knn is loaded'
-                    })
-                },
-                {
-                    opcode: 'trainA',
-                    blockType: BlockType.COMMAND,
-                    text: formatMessage({
-                        id: 'knn.trainA',
-                        default: 'Train 1 [STRING]',
-                        description: 'Train A'
-                    }),
-                    arguments: {
-                        STRING: {
-                            type: ArgumentType.STRING,
-                            defaultValue: "label1"
-                        }
-                    }
-                },
-                {
-                    opcode: 'trainB',
-                    blockType: BlockType.COMMAND,
-                    text: formatMessage({
-                        id: 'knn.trainB',
-                        default: 'Train 2 [STRING]',
-                        description: 'Train B'
-                    }),
-                    arguments: {
-                        STRING: {
-                            type: ArgumentType.STRING,
-                            defaultValue: "label2"
-                        }
-                    }
-                },
-                {
-                    opcode: 'trainC',
-                    blockType: BlockType.COMMAND,
-                    text: formatMessage({
-                        id: 'knn.trainC',
-                        default: 'Train 3 [STRING]',
-                        description: 'Train C'
-                    }),
-                    arguments: {
-                        STRING: {
-                            type: ArgumentType.STRING,
-                            defaultValue: "label3"
-                        }
-                    }
-                },
-                {
-                    opcode: 'train',
-                    blockType: BlockType.COMMAND,
-                    text: formatMessage({
-                        id: 'knn.train',
-                        default: 'Train label [type] [STRING]',
-                        description: 'Train'
-                    }),
-                    arguments: {
-                        STRING: {
-                            type: ArgumentType.STRING,
-                            defaultValue: "label4"
-                        },
-                        type: {
-                            type: ArgumentType.STRING,
-                            menu: 'typemenu',
-                            defaultValue: "4"
-                        }
-                    }
-                },
-                {
-                    opcode: 'addTrainType',
-                    blockType: BlockType.COMMAND,
-                    text: formatMessage({
-                        id: 'knn.addTrainType',
-                        default: 'add train type',
-                        description: 'add train type'
-                    })
-                },
-                {
-                    opcode: 'resetTrain',
-                    blockType: BlockType.COMMAND,
-                    text: formatMessage({
-                        id: 'knn.reset',
-                        default: 'Reset [STRING]',
-                        description: 'reset'
-                    }),
-                    arguments: {
-                        STRING: {
-                            type: ArgumentType.STRING,
-                            defaultValue: "label1"
-                        }
-                    }
-                },
-                {
-                    opcode: 'Sample1',
-                    blockType: BlockType.REPORTER,
-                    text: formatMessage({
-                        id: 'knn.sample',
-                        default: 'Sample',
-                        description: 'samples'
-                    }) + '1',
-                    arguments: {
-                        STRING: {
-                            type: ArgumentType.STRING,
-                            defaultValue: "label1"
-                        }
-                    }
-                },
-                {
-                    opcode: 'Sample2',
-                    blockType: BlockType.REPORTER,
-                    text: formatMessage({
-                        id: 'knn.sample',
-                        default: 'Sample',
-                        description: 'samples'
-                    }) + '2',
-                    arguments: {
-                        STRING: {
-                            type: ArgumentType.STRING,
-                            defaultValue: "label1"
-                        }
-                    }
-                },
-                {
-                    opcode: 'Sample3',
-                    blockType: BlockType.REPORTER,
-                    text: formatMessage({
-                        id: 'knn.sample',
-                        default: 'Sample',
-                        description: 'samples'
-                    }) + '3',
-                    arguments: {
+    get MODEL_SIZE_INFO () {
+        return [
+            {
+                name: formatMessage({
+                    id: 'knn.modelSize.small',
+                    default: 'small',
+                    description: 'Option for the "use model size [SIZE]" block'
+                }),
+                value: '0.25'
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.modelSize.medium',
+                    default: 'medium',
+                    description: 'Option for the "use model size [SIZE]" block'
+                }),
+                value: '0.5'
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.modelSize.large',
+                    default: 'large',
+                    description: 'Option for the "use model size [SIZE]" block'
+                }),
+                value: '1'
+            }
+        ];
+    }
+
+    /**
+     * An array of info on MobileNet layers for the "use features from
+     * [LAYER]" block. Earlier layers describe textures and colours, later
+     * ones describe objects. The layer names depend on the MobileNet version.
+     * @type {object[]} an array of objects
+     * @param {string} name - the translatable name to display in the layer menu
+     * @param {string} value - the MobileNet endpoint name
+     */
+    get FEATURE_LAYER_INFO () {
+        return [
+            {
+                name: formatMessage({
+                    id: 'knn.featureLayer.predictions',
+                    default: 'predictions',
+                    description: 'Option for the "use features from [LAYER]" block'
+                }),
+                value: this.version === 2 ? 'MobilenetV2/Logits/Conv2d_1c_1x1/BiasAdd' : 'conv_preds'
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.featureLayer.pooling',
+                    default: 'global pooling',
+                    description: 'Option for the "use features from [LAYER]" block'
+                }),
+                value: this.version === 2 ? 'MobilenetV2/Logits/AvgPool' : 'global_average_pooling2d_1'
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.featureLayer.shapes',
+                    default: 'shapes',
+                    description: 'Option for the "use features from [LAYER]" block'
+                }),
+                value: this.version === 2 ? 'MobilenetV2/expanded_conv_16/output' : 'conv_dw_13_relu'
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.featureLayer.textures',
+                    default: 'textures and colours',
+                    description: 'Option for the "use features from [LAYER]" block'
+                }),
+                value: this.version === 2 ? 'MobilenetV2/expanded_conv_6/output' : 'conv_pw_11_relu'
+            }
+        ];
+    }
+
+    /**
+     * States the MobileNet model can be in.
+     * @readonly
+     * @enum {string}
+     */
+    static get ModelStatus() {
+        return ModelStatus;
+    }
+
+    /**
+     * How the nearest neighbours vote for a class.
+     * @readonly
+     * @enum {string}
+     */
+    static get VotingMode() {
+        return VotingMode;
+    }
+
+    /**
+     * An array of info on voting options for the "set voting to [MODE]"
+     * block.
+     * @type {object[]} an array of objects
+     * @param {string} name - the translatable name to display in the voting menu
+     * @param {string} value - the serializable value of the voting mode
+     */
+    get VOTING_MODE_INFO () {
+        return [
+            {
+                name: formatMessage({
+                    id: 'knn.votingMode.majority',
+                    default: 'majority',
+                    description: 'Option for the "set voting to [MODE]" block'
+                }),
+                value: VotingMode.MAJORITY
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.votingMode.weighted',
+                    default: 'distance weighted',
+                    description: 'Option for the "set voting to [MODE]" block'
+                }),
+                value: VotingMode.WEIGHTED
+            }
+        ];
+    }
+
+    /**
+     * Metrics embeddings can be compared with.
+     * @readonly
+     * @enum {string}
+     */
+    static get DistanceMetric() {
+        return DistanceMetric;
+    }
+
+    /**
+     * An array of info on metric options for the "set distance to [METRIC]"
+     * block.
+     * @type {object[]} an array of objects
+     * @param {string} name - the translatable name to display in the metric menu
+     * @param {string} value - the serializable value of the metric
+     */
+    get DISTANCE_METRIC_INFO () {
+        return [
+            {
+                name: formatMessage({
+                    id: 'knn.distanceMetric.cosine',
+                    default: 'cosine',
+                    description: 'Option for the "set distance to [METRIC]" block'
+                }),
+                value: DistanceMetric.COSINE
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.distanceMetric.euclidean',
+                    default: 'Euclidean',
+                    description: 'Option for the "set distance to [METRIC]" block'
+                }),
+                value: DistanceMetric.EUCLIDEAN
+            }
+        ];
+    }
+
+    /**
+     * How predictions are smoothed over the last frames.
+     * @readonly
+     * @enum {string}
+     */
+    static get SmoothingMode() {
+        return SmoothingMode;
+    }
+
+    /**
+     * An array of info on smoothing options for the "smooth results by
+     * [MODE] over [N] frames" block.
+     * @type {object[]} an array of objects
+     * @param {string} name - the translatable name to display in the smoothing menu
+     * @param {string} value - the serializable value of the smoothing mode
+     */
+    get SMOOTHING_MODE_INFO () {
+        return [
+            {
+                name: formatMessage({
+                    id: 'knn.smoothingMode.off',
+                    default: 'off',
+                    description: 'Option for the "smooth results by [MODE] over [N] frames" block'
+                }),
+                value: SmoothingMode.OFF
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.smoothingMode.majority',
+                    default: 'majority vote',
+                    description: 'Option for the "smooth results by [MODE] over [N] frames" block'
+                }),
+                value: SmoothingMode.MAJORITY
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.smoothingMode.average',
+                    default: 'average confidence',
+                    description: 'Option for the "smooth results by [MODE] over [N] frames" block'
+                }),
+                value: SmoothingMode.AVERAGE
+            }
+        ];
+    }
+
+    /**
+     * An array of info on evaluation options for the "evaluate model with
+     * [METHOD]" block.
+     * @type {object[]} an array of objects
+     * @param {string} name - the translatable name to display in the method menu
+     * @param {string} value - the number of folds, 0 for leave-one-out
+     */
+    get EVALUATION_METHOD_INFO () {
+        return [
+            {
+                name: formatMessage({
+                    id: 'knn.evaluationMethod.leaveOneOut',
+                    default: 'leave one out',
+                    description: 'Option for the "evaluate model with [METHOD]" block'
+                }),
+                value: '0'
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.evaluationMethod.fiveFold',
+                    default: '5 folds',
+                    description: 'Option for the "evaluate model with [METHOD]" block'
+                }),
+                value: '5'
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.evaluationMethod.tenFold',
+                    default: '10 folds',
+                    description: 'Option for the "evaluate model with [METHOD]" block'
+                }),
+                value: '10'
+            }
+        ];
+    }
+
+    /**
+     * Ways the extension can classify a frame.
+     * @readonly
+     * @enum {string}
+     */
+    static get ClassifierMode() {
+        return ClassifierMode;
+    }
+
+    /**
+     * An array of info on classifier options for the "classify with [MODE]"
+     * block.
+     * @type {object[]} an array of objects
+     * @param {string} name - the translatable name to display in the mode menu
+     * @param {string} value - the serializable value of the mode
+     */
+    get CLASSIFIER_MODE_INFO () {
+        return [
+            {
+                name: formatMessage({
+                    id: 'knn.classifierMode.knn',
+                    default: 'KNN',
+                    description: 'Option for the "classify with [MODE]" block'
+                }),
+                value: ClassifierMode.KNN
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.classifierMode.network',
+                    default: 'neural network',
+                    description: 'Option for the "classify with [MODE]" block'
+                }),
+                value: ClassifierMode.NETWORK
+            }
+        ];
+    }
+
+    /**
+     * Kinds of jittered variants a captured frame can be augmented with.
+     * @readonly
+     * @enum {string}
+     */
+    static get AugmentationType() {
+        return AugmentationType;
+    }
+
+    /**
+     * An array of info on variant kinds for the "add [N] [VARIANT] variants
+     * of every sample" block.
+     * @type {object[]} an array of objects
+     * @param {string} name - the translatable name to display in the variant menu
+     * @param {string} value - the serializable value of the variant kind
+     */
+    get AUGMENTATION_INFO () {
+        return [
+            {
+                name: formatMessage({
+                    id: 'knn.augmentation.flip',
+                    default: 'flipped',
+                    description: 'Option for the "add [N] [VARIANT] variants of every sample" block'
+                }),
+                value: AugmentationType.FLIP
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.augmentation.crop',
+                    default: 'zoomed',
+                    description: 'Option for the "add [N] [VARIANT] variants of every sample" block'
+                }),
+                value: AugmentationType.CROP
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.augmentation.color',
+                    default: 'brightness and contrast',
+                    description: 'Option for the "add [N] [VARIANT] variants of every sample" block'
+                }),
+                value: AugmentationType.COLOR
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.augmentation.rotate',
+                    default: 'rotated',
+                    description: 'Option for the "add [N] [VARIANT] variants of every sample" block'
+                }),
+                value: AugmentationType.ROTATE
+            }
+        ];
+    }
+
+    /**
+     * How the distances to the examples of a label are combined into a
+     * similarity.
+     * @readonly
+     * @enum {string}
+     */
+    static get SimilarityMode() {
+        return SimilarityMode;
+    }
+
+    /**
+     * An array of info on options for the "similarity of camera to [STRING]
+     * by [MODE]" block.
+     * @type {object[]} an array of objects
+     * @param {string} name - the translatable name to display in the mode menu
+     * @param {string} value - the serializable value of the similarity mode
+     */
+    get SIMILARITY_MODE_INFO () {
+        return [
+            {
+                name: formatMessage({
+                    id: 'knn.similarityMode.mean',
+                    default: 'all samples',
+                    description: 'Option for the "similarity of camera to [STRING] by [MODE]" block'
+                }),
+                value: SimilarityMode.MEAN
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.similarityMode.nearest',
+                    default: 'closest sample',
+                    description: 'Option for the "similarity of camera to [STRING] by [MODE]" block'
+                }),
+                value: SimilarityMode.NEAREST
+            }
+        ];
+    }
+
+    /**
+     * What the "nearest sample" reporter can report.
+     * @readonly
+     * @enum {string}
+     */
+    static get NearestSampleProperty() {
+        return NearestSampleProperty;
+    }
+
+    /**
+     * An array of info on properties for the "[PROPERTY] of nearest sample"
+     * block.
+     * @type {object[]} an array of objects
+     * @param {string} name - the translatable name to display in the property menu
+     * @param {string} value - the serializable value of the property
+     */
+    get NEAREST_SAMPLE_PROPERTY_INFO () {
+        return [
+            {
+                name: formatMessage({
+                    id: 'knn.nearestSampleProperty.label',
+                    default: 'label',
+                    description: 'Option for the "[PROPERTY] of nearest sample" block'
+                }),
+                value: NearestSampleProperty.LABEL
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.nearestSampleProperty.distance',
+                    default: 'distance',
+                    description: 'Option for the "[PROPERTY] of nearest sample" block'
+                }),
+                value: NearestSampleProperty.DISTANCE
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.nearestSampleProperty.number',
+                    default: 'sample number',
+                    description: 'Option for the "[PROPERTY] of nearest sample" block'
+                }),
+                value: NearestSampleProperty.NUMBER
+            }
+        ];
+    }
+
+    /**
+     * Which example makes room when a class is full.
+     * @readonly
+     * @enum {string}
+     */
+    static get EvictionPolicy() {
+        return EvictionPolicy;
+    }
+
+    /**
+     * An array of info on eviction options for the "keep at most [N] samples
+     * per label, dropping [POLICY]" block.
+     * @type {object[]} an array of objects
+     * @param {string} name - the translatable name to display in the policy menu
+     * @param {string} value - the serializable value of the eviction policy
+     */
+    get EVICTION_POLICY_INFO () {
+        return [
+            {
+                name: formatMessage({
+                    id: 'knn.evictionPolicy.oldest',
+                    default: 'the oldest',
+                    description: 'Option for the "keep at most [N] samples per label, dropping [POLICY]" block'
+                }),
+                value: EvictionPolicy.OLDEST
+            },
+            {
+                name: formatMessage({
+                    id: 'knn.evictionPolicy.reservoir',
+                    default: 'random ones',
+                    description: 'Option for the "keep at most [N] samples per label, dropping [POLICY]" block'
+                }),
+                value: EvictionPolicy.RESERVOIR
+            }
+        ];
+    }
+
+    /**
+     * An array of info on MobileNet versions for the "use MobileNet
+     * [VERSION]" block. V2 is more accurate and faster.
+     * @type {object[]} an array of objects
+     * @param {string} name - the name to display in the version menu
+     * @param {string} value - the MobileNet version
+     */
+    get MOBILENET_VERSION_INFO () {
+        return [
+            {
+                name: 'V1',
+                value: '1'
+            },
+            {
+                name: 'V2',
+                value: '2'
+            }
+        ];
+    }
+
+    /**
+     * @returns {object} metadata for this extension and its blocks.
+     */
+    getInfo() {
+        return {
+            id: 'cxknn',
+            name: 'KNN Classifier',
+            blocks: [
+                {
+                    opcode: 'videoToggle',
+                    text: formatMessage({
+                        id: 'videoSensing.videoToggle',
+                        default: 'turn video [VIDEO_STATE]',
+                        description: 'Controls display of the video preview layer'
+                    }),
+                    arguments: {
+                        VIDEO_STATE: {
+                            type: ArgumentType.NUMBER,
+                            menu: 'VIDEO_STATE',
+                            defaultValue: VideoState.ON
+                        }
+                    }
+                },
+                {
+                    opcode: 'setVideoTransparency',
+                    text: formatMessage({
+                        id: 'videoSensing.setVideoTransparency',
+                        default: 'set video transparency to [TRANSPARENCY]',
+                        description: 'Controls transparency of the video preview layer'
+                    }),
+                    arguments: {
+                        TRANSPARENCY: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        }
+                    }
+                },
+                {
+                    opcode: 'isloaded',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'knn.isloaded',
+                        default: 'is loaded',
+                        description: 'knn is loaded'
+                    })
+                },
+                {
+                    opcode: 'getModelStatus',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.getModelStatus',
+                        default: 'model status',
+                        description: 'whether the model is loading, ready or failed to load'
+                    })
+                },
+                {
+                    opcode: 'getModelError',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.getModelError',
+                        default: 'model error',
+                        description: 'why the model failed to load'
+                    })
+                },
+                {
+                    opcode: 'getModelProgress',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.getModelProgress',
+                        default: 'model download progress',
+                        description: 'percentage of the model weights downloaded; MobileNet V2 only reports 0 and 100'
+                    })
+                },
+                {
+                    opcode: 'whenModelReady',
+                    blockType: BlockType.HAT,
+                    text: formatMessage({
+                        id: 'knn.whenModelReady',
+                        default: 'when model is ready',
+                        description: 'runs once the model finished loading'
+                    })
+                },
+                {
+                    opcode: 'retryLoadModel',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.retryLoadModel',
+                        default: 'retry loading model',
+                        description: 'load the model again after it failed'
+                    })
+                },
+                {
+                    opcode: 'useModelSize',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.useModelSize',
+                        default: 'use model size [SIZE]',
+                        description: 'reload MobileNet with another width multiplier'
+                    }),
+                    arguments: {
+                        SIZE: {
+                            type: ArgumentType.STRING,
+                            menu: 'MODEL_SIZE',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'useMobilenetVersion',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.useMobilenetVersion',
+                        default: 'use MobileNet [VERSION]',
+                        description: 'reload the model with another MobileNet version'
+                    }),
+                    arguments: {
+                        VERSION: {
+                            type: ArgumentType.STRING,
+                            menu: 'MOBILENET_VERSION',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'useFeatureLayer',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.useFeatureLayer',
+                        default: 'use features from [LAYER]',
+                        description: 'choose the MobileNet layer examples are computed from'
+                    }),
+                    arguments: {
+                        LAYER: {
+                            type: ArgumentType.STRING,
+                            menu: 'FEATURE_LAYER',
+                            defaultValue: 'conv_preds'
+                        }
+                    }
+                },
+                {
+                    opcode: 'useClassifier',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.useClassifier',
+                        default: 'use classifier [NAME]',
+                        description: 'create a classifier if needed and make the label and settings blocks apply to it'
+                    }),
+                    arguments: {
+                        NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "default"
+                        }
+                    }
+                },
+                {
+                    opcode: 'deleteClassifier',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.deleteClassifier',
+                        default: 'delete classifier [NAME]',
+                        description: 'remove a classifier with its labels and samples'
+                    }),
+                    arguments: {
+                        NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "default"
+                        }
+                    }
+                },
+                {
+                    opcode: 'getClassifierName',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.getClassifierName',
+                        default: 'classifier',
+                        description: 'the name of the classifier in use'
+                    })
+                },
+                {
+                    opcode: 'train',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.trainClassifier',
+                        default: 'Train [CLASSIFIER] label [STRING]',
+                        description: 'Train'
+                    }),
+                    arguments: {
+                        CLASSIFIER: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "default"
+                        },
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label1"
+                        }
+                    }
+                },
+                {
+                    opcode: 'trainBurst',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.trainBurst',
+                        default: 'Train [CLASSIFIER] label [STRING] for [N] samples every [MS] ms after [COUNTDOWN] s countdown',
+                        description: 'capture several frames in a row, finishing when the last one is trained'
+                    }),
+                    arguments: {
+                        CLASSIFIER: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "default"
+                        },
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label1"
+                        },
+                        N: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        },
+                        MS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 200
+                        },
+                        COUNTDOWN: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        }
+                    }
+                },
+                {
+                    opcode: 'isCapturing',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'knn.isCapturing',
+                        default: 'capturing?',
+                        description: 'whether a burst capture is running'
+                    })
+                },
+                {
+                    opcode: 'setAugmentation',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.setAugmentation',
+                        default: 'add [N] [VARIANT] variants of every sample',
+                        description: 'train every captured frame with jittered copies as well'
+                    }),
+                    arguments: {
+                        N: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        },
+                        VARIANT: {
+                            type: ArgumentType.STRING,
+                            menu: 'AUGMENTATION',
+                            defaultValue: AugmentationType.FLIP
+                        }
+                    }
+                },
+                {
+                    opcode: 'renameLabel',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.renameLabel',
+                        default: 'rename label [STRING] to [NAME]',
+                        description: 'give a label a new name, keeping its samples'
+                    }),
+                    arguments: {
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label1"
+                        },
+                        NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label2"
+                        }
+                    }
+                },
+                {
+                    opcode: 'deleteLabel',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.deleteLabel',
+                        default: 'delete label [STRING]',
+                        description: 'remove a label and its samples'
+                    }),
+                    arguments: {
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label1"
+                        }
+                    }
+                },
+                {
+                    opcode: 'getAllLabels',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.getAllLabels',
+                        default: 'all labels',
+                        description: 'the names of every label, separated by commas'
+                    })
+                },
+                {
+                    opcode: 'resetTrain',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.reset',
+                        default: 'Reset [STRING]',
+                        description: 'reset'
+                    }),
+                    arguments: {
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label1"
+                        }
+                    }
+                },
+                {
+                    opcode: 'undoLastSample',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.undoLastSample',
+                        default: 'undo last training sample of [CLASSIFIER]',
+                        description: 'remove the examples the last training added'
+                    }),
+                    arguments: {
+                        CLASSIFIER: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "default"
+                        }
+                    }
+                },
+                {
+                    opcode: 'removeSample',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.removeSample',
+                        default: 'remove sample [N] of [STRING]',
+                        description: 'remove one example of a label'
+                    }),
+                    arguments: {
+                        N: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        },
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label1"
+                        }
+                    }
+                },
+                {
+                    opcode: 'showSample',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.showSample',
+                        default: 'switch costume to sample [N] of [STRING]',
+                        description: 'dress the sprite in the thumbnail of a training sample'
+                    }),
+                    arguments: {
+                        N: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        },
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label1"
+                        }
+                    }
+                },
+                {
+                    opcode: 'setMaxExamples',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.setMaxExamples',
+                        default: 'keep at most [N] samples per label (0 for no limit), dropping [POLICY]',
+                        description: 'limit the examples of every label; 0 for no limit'
+                    }),
+                    arguments: {
+                        N: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 50
+                        },
+                        POLICY: {
+                            type: ArgumentType.STRING,
+                            menu: 'EVICTION_POLICY',
+                            defaultValue: EvictionPolicy.OLDEST
+                        }
+                    }
+                },
+                {
+                    opcode: 'exportModel',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.exportModel',
+                        default: 'export model',
+                        description: 'download the trained model as a file'
+                    })
+                },
+                {
+                    opcode: 'importModel',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.importModel',
+                        default: 'import model',
+                        description: 'load a trained model from a file'
+                    })
+                },
+                {
+                    opcode: 'Samples',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.samples',
+                        default: 'Samples [STRING]',
+                        description: 'samples'
+                    }),
+                    arguments: {
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label1"
+                        }
+                    }
+                },
+                {
+                    opcode: 'setK',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.setK',
+                        default: 'set neighbours k to [K]',
+                        description: 'how many nearest examples vote for a label'
+                    }),
+                    arguments: {
+                        K: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 3
+                        }
+                    }
+                },
+                {
+                    opcode: 'setVotingMode',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.setVotingMode',
+                        default: 'set voting to [MODE]',
+                        description: 'whether nearer examples count more when voting'
+                    }),
+                    arguments: {
+                        MODE: {
+                            type: ArgumentType.STRING,
+                            menu: 'VOTING_MODE',
+                            defaultValue: VotingMode.MAJORITY
+                        }
+                    }
+                },
+                {
+                    opcode: 'setDistanceMetric',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.setDistanceMetric',
+                        default: 'set distance to [METRIC]',
+                        description: 'how the camera image is compared with the examples'
+                    }),
+                    arguments: {
+                        METRIC: {
+                            type: ArgumentType.STRING,
+                            menu: 'DISTANCE_METRIC',
+                            defaultValue: DistanceMetric.COSINE
+                        }
+                    }
+                },
+                {
+                    opcode: 'setRejectDistance',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.setRejectDistance',
+                        default: 'report unknown if nearest distance is above [DISTANCE]',
+                        description: 'distance above which the result is the unknown label, 0 turns it off'
+                    }),
+                    arguments: {
+                        DISTANCE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0.5
+                        }
+                    }
+                },
+                {
+                    opcode: 'setRejectConfidence',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.setRejectConfidence',
+                        default: 'report unknown if confidence is below [CONFIDENCE]',
+                        description: 'confidence below which the result is the unknown label, 0 turns it off'
+                    }),
+                    arguments: {
+                        CONFIDENCE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0.6
+                        }
+                    }
+                },
+                {
+                    opcode: 'setUnknownLabel',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.setUnknownLabel',
+                        default: 'set unknown label to [STRING]',
+                        description: 'the result reported when nothing matches well'
+                    }),
+                    arguments: {
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'unknown'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setSmoothing',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.setSmoothing',
+                        default: 'smooth results by [MODE] over [N] frames',
+                        description: 'combine the last predictions so the result flickers less'
+                    }),
+                    arguments: {
+                        MODE: {
+                            type: ArgumentType.STRING,
+                            menu: 'SMOOTHING_MODE',
+                            defaultValue: SmoothingMode.MAJORITY
+                        },
+                        N: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 5
+                        }
+                    }
+                },
+                {
+                    opcode: 'setHysteresis',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.setHysteresis',
+                        default: 'change result only after [M] frames in a row',
+                        description: 'how long a new label must be stable before it is reported'
+                    }),
+                    arguments: {
+                        M: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 3
+                        }
+                    }
+                },
+                {
+                    opcode: 'setClassifierMode',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.setClassifierMode',
+                        default: 'classify with [MODE]',
+                        description: 'choose between KNN and the trained neural network'
+                    }),
+                    arguments: {
+                        MODE: {
+                            type: ArgumentType.STRING,
+                            menu: 'CLASSIFIER_MODE',
+                            defaultValue: ClassifierMode.KNN
+                        }
+                    }
+                },
+                {
+                    opcode: 'setTrainingEpochs',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.setTrainingEpochs',
+                        default: 'set training epochs to [EPOCHS]',
+                        description: 'how many passes the neural network trains for'
+                    }),
+                    arguments: {
+                        EPOCHS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 20
+                        }
+                    }
+                },
+                {
+                    opcode: 'setLearningRate',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.setLearningRate',
+                        default: 'set learning rate to [RATE]',
+                        description: 'the learning rate of the neural network'
+                    }),
+                    arguments: {
+                        RATE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0.001
+                        }
+                    }
+                },
+                {
+                    opcode: 'trainNetwork',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.trainNetwork',
+                        default: 'train neural network',
+                        description: 'train the neural network on the examples'
+                    })
+                },
+                {
+                    opcode: 'getTrainingProgress',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.getTrainingProgress',
+                        default: 'training progress',
+                        description: 'percentage of the neural network training done'
+                    })
+                },
+                {
+                    opcode: 'getResult',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.getClassifierResult',
+                        default: 'Result of [CLASSIFIER]',
+                        description: 'getResult'
+                    }),
+                    arguments: {
+                        CLASSIFIER: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "default"
+                        }
+                    }
+                },
+                {
+                    opcode: 'getConfidence',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.getClassifierConfidence',
+                        default: 'getConfidence [STRING] of [CLASSIFIER]',
+                        description: 'getConfidence'
+                    }),
+                    arguments: {
+                        CLASSIFIER: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "default"
+                        },
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label1"
+                        }
+                    }
+                },
+                {
+                    opcode: 'imagenetLabel',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.imagenetLabel',
+                        default: 'ImageNet label',
+                        description: 'the most likely ImageNet class of the video frame'
+                    })
+                },
+                {
+                    opcode: 'imagenetTopLabels',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.imagenetTopLabels',
+                        default: 'top [N] ImageNet labels',
+                        description: 'the most likely ImageNet classes of the video frame'
+                    }),
+                    arguments: {
+                        N: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 3
+                        }
+                    }
+                },
+                {
+                    opcode: 'imagenetConfidence',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.imagenetConfidence',
+                        default: 'confidence of ImageNet class [CLASS]',
+                        description: 'the probability of an ImageNet class for the video frame'
+                    }),
+                    arguments: {
+                        CLASS: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'tabby'
+                        }
+                    }
+                },
+                {
+                    opcode: 'evaluateModel',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.evaluateModel',
+                        default: 'evaluate model with [METHOD]',
+                        description: 'measure how well the examples classify each other'
+                    }),
+                    arguments: {
+                        METHOD: {
+                            type: ArgumentType.STRING,
+                            menu: 'EVALUATION_METHOD',
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getAccuracy',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.getAccuracy',
+                        default: 'model accuracy %',
+                        description: 'percentage of examples classified correctly by the last evaluation'
+                    })
+                },
+                {
+                    opcode: 'getLabelAccuracy',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.getLabelAccuracy',
+                        default: 'accuracy % of [STRING]',
+                        description: 'percentage of the examples of a label classified correctly by the last evaluation'
+                    }),
+                    arguments: {
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'label1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getConfusionRow',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.getConfusionRow',
+                        default: 'confusion of [STRING]',
+                        description: 'what the examples of a label were classified as by the last evaluation'
+                    }),
+                    arguments: {
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'label1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'showConfusionMatrix',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.showConfusionMatrix',
+                        default: 'switch costume to confusion matrix',
+                        description: 'draw the confusion matrix of the last evaluation as a costume'
+                    })
+                },
+                {
+                    opcode: 'writeRankedResults',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.writeRankedResults',
+                        default: 'write ranked labels to list [LABELS] and confidences to list [CONFIDENCES]',
+                        description: 'fill two lists with the labels sorted by confidence'
+                    }),
+                    arguments: {
+                        LABELS: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'labels'
+                        },
+                        CONFIDENCES: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'confidences'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getLabelAtRank',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.getLabelAtRank',
+                        default: 'label at rank [RANK]',
+                        description: 'the label with the Nth highest confidence'
+                    }),
+                    arguments: {
+                        RANK: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        }
+                    }
+                },
+                {
+                    opcode: 'getNearestSample',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.getNearestSample',
+                        default: '[PROPERTY] of nearest sample',
+                        description: 'the training sample most similar to the video frame'
+                    }),
+                    arguments: {
+                        PROPERTY: {
+                            type: ArgumentType.STRING,
+                            menu: 'NEAREST_SAMPLE_PROPERTY',
+                            defaultValue: NearestSampleProperty.LABEL
+                        }
+                    }
+                },
+                {
+                    opcode: 'showNearestSample',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.showNearestSample',
+                        default: 'switch costume to nearest sample',
+                        description: 'dress the sprite in the training sample most similar to the video frame'
+                    })
+                },
+                {
+                    opcode: 'getSimilarity',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'knn.getSimilarity',
+                        default: 'similarity of camera to [STRING] by [MODE]',
+                        description: 'how much the video frame looks like the samples of a label, from 0 to 100'
+                    }),
+                    arguments: {
                         STRING: {
                             type: ArgumentType.STRING,
                             defaultValue: "label1"
+                        },
+                        MODE: {
+                            type: ArgumentType.STRING,
+                            menu: 'SIMILARITY_MODE',
+                            defaultValue: SimilarityMode.MEAN
                         }
                     }
                 },
                 {
-                    opcode: 'Samples',
+                    opcode: 'captureReference',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'knn.captureReference',
+                        default: 'capture reference',
+                        description: 'remember the video frame to compare later frames with'
+                    })
+                },
+                {
+                    opcode: 'getReferenceSimilarity',
                     blockType: BlockType.REPORTER,
                     text: formatMessage({
-                        id: 'knn.samples',
-                        default: 'Samples [STRING]',
-                        description: 'samples'
+                        id: 'knn.getReferenceSimilarity',
+                        default: 'similarity to reference',
+                        description: 'how much the video frame looks like the reference, from 0 to 100'
+                    })
+                },
+                {
+                    opcode: 'whenGetResult',
+                    blockType: BlockType.HAT,
+                    text: formatMessage({
+                        id: 'knn.whenClassifierGetsResult',
+                        default: 'when [CLASSIFIER] gets [STRING]',
+                        description: 'whenGetResult'
+                    }),
+                    arguments: {
+                        CLASSIFIER: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "default"
+                        },
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label1"
+                        }
+                    }
+                },
+                // Blocks of the fixed label slots, kept so projects saved
+                // with them still run.
+                {
+                    opcode: 'trainA',
+                    blockType: BlockType.COMMAND,
+                    hideFromPalette: true,
+                    text: formatMessage({
+                        id: 'knn.trainA',
+                        default: 'Train 1 [STRING]',
+                        description: 'Train A'
+                    }),
+                    arguments: {
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label1"
+                        }
+                    }
+                },
+                {
+                    opcode: 'trainB',
+                    blockType: BlockType.COMMAND,
+                    hideFromPalette: true,
+                    text: formatMessage({
+                        id: 'knn.trainB',
+                        default: 'Train 2 [STRING]',
+                        description: 'Train B'
+                    }),
+                    arguments: {
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label2"
+                        }
+                    }
+                },
+                {
+                    opcode: 'trainC',
+                    blockType: BlockType.COMMAND,
+                    hideFromPalette: true,
+                    text: formatMessage({
+                        id: 'knn.trainC',
+                        default: 'Train 3 [STRING]',
+                        description: 'Train C'
                     }),
+                    arguments: {
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label3"
+                        }
+                    }
+                },
+                {
+                    opcode: 'addTrainType',
+                    blockType: BlockType.COMMAND,
+                    hideFromPalette: true,
+                    text: formatMessage({
+                        id: 'knn.addTrainType',
+                        default: 'add train type',
+                        description: 'add train type'
+                    })
+                },
+                {
+                    opcode: 'Sample1',
+                    blockType: BlockType.REPORTER,
+                    hideFromPalette: true,
+                    text: formatMessage({
+                        id: 'knn.sample',
+                        default: 'Sample',
+                        description: 'samples'
+                    }) + '1',
+                    arguments: {
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label1"
+                        }
+                    }
+                },
+                {
+                    opcode: 'Sample2',
+                    blockType: BlockType.REPORTER,
+                    hideFromPalette: true,
+                    text: formatMessage({
+                        id: 'knn.sample',
+                        default: 'Sample',
+                        description: 'samples'
+                    }) + '2',
+                    arguments: {
+                        STRING: {
+                            type: ArgumentType.STRING,
+                            defaultValue: "label1"
+                        }
+                    }
+                },
+                {
+                    opcode: 'Sample3',
+                    blockType: BlockType.REPORTER,
+                    hideFromPalette: true,
+                    text: formatMessage({
+                        id: 'knn.sample',
+                        default: 'Sample',
+                        description: 'samples'
+                    }) + '3',
                     arguments: {
                         STRING: {
                             type: ArgumentType.STRING,
                             defaultValue: "label1"
                         }
                     }
+                }
+            ],
+            menus: {
+                ATTRIBUTE: {
+                    acceptReporters: true,
+                    items: this._buildMenu(this.ATTRIBUTE_INFO)
+                },
+                SUBJECT: {
+                    acceptReporters: true,
+                    items: this._buildMenu(this.SUBJECT_INFO)
+                },
+                VIDEO_STATE: {
+                    acceptReporters: true,
+                    items:this._buildMenu(this.VIDEO_STATE_INFO),
+                },
+                MODEL_SIZE: {
+                    acceptReporters: true,
+                    items: this._buildMenu(this.MODEL_SIZE_INFO)
+                },
+                VOTING_MODE: {
+                    acceptReporters: true,
+                    items: this._buildMenu(this.VOTING_MODE_INFO)
+                },
+                DISTANCE_METRIC: {
+                    acceptReporters: true,
+                    items: this._buildMenu(this.DISTANCE_METRIC_INFO)
+                },
+                EVALUATION_METHOD: {
+                    acceptReporters: true,
+                    items: this._buildMenu(this.EVALUATION_METHOD_INFO)
+                },
+                SMOOTHING_MODE: {
+                    acceptReporters: true,
+                    items: this._buildMenu(this.SMOOTHING_MODE_INFO)
+                },
+                CLASSIFIER_MODE: {
+                    acceptReporters: true,
+                    items: this._buildMenu(this.CLASSIFIER_MODE_INFO)
+                },
+                MOBILENET_VERSION: {
+                    acceptReporters: true,
+                    items: this._buildMenu(this.MOBILENET_VERSION_INFO)
+                },
+                FEATURE_LAYER: {
+                    acceptReporters: true,
+                    items: '_featureLayerMenu'
+                },
+                AUGMENTATION: {
+                    acceptReporters: true,
+                    items: this._buildMenu(this.AUGMENTATION_INFO)
                 },
-                {
-                    opcode: 'getResult',
-                    blockType: BlockType.REPORTER,
-                    text: formatMessage({
-                        id: 'knn.getResult',
-                        default: 'Result',
-                        description: 'getResult'
-                    }),
-                    arguments: {
+                EVICTION_POLICY: {
+                    acceptReporters: true,
+                    items: this._buildMenu(this.EVICTION_POLICY_INFO)
+                },
+                NEAREST_SAMPLE_PROPERTY: {
+                    acceptReporters: true,
+                    items: this._buildMenu(this.NEAREST_SAMPLE_PROPERTY_INFO)
+                },
+                SIMILARITY_MODE: {
+                    acceptReporters: true,
+                    items: this._buildMenu(this.SIMILARITY_MODE_INFO)
+                },
+                // The label slot menu of the old "Train label" block, kept
+                // so its saved shadow blocks still load.
+                typemenu: {
+                    acceptReporters: true,
+                    items: ['4', '5', '6', '7', '8', '9', '10']
+                }
+            }
+        };
+    }
+
+    _featureLayerMenu () {
+        return this._buildMenu(this.FEATURE_LAYER_INFO)
+    }
+    /**
+     * A scratch command block handle that configures the video state from
+     * passed arguments.
+     * @param {object} args - the block arguments
+     * @param {VideoState} args.VIDEO_STATE - the video state to set the device to
+     */
+    videoToggle(args) {
+        const state = args.VIDEO_STATE;
+        this.globalVideoState = state;
+        if (state === VideoState.OFF) {
+            this.runtime.ioDevices.video.disableVideo();
+        } else {
+            this.runtime.ioDevices.video.enableVideo();
+            // Mirror if state is ON. Do not mirror if state is ON_FLIPPED.
+            this.runtime.ioDevices.video.mirror = state === VideoState.ON;
+        }
+    }
+
+    /**
+     * A scratch command block handle that configures the video preview's
+     * transparency from passed arguments.
+     * @param {object} args - the block arguments
+     * @param {number} args.TRANSPARENCY - the transparency to set the video
+     *   preview to
+     */
+    setVideoTransparency(args) {
+        const transparency = Cast.toNumber(args.TRANSPARENCY);
+        this.globalVideoTransparency = transparency;
+        this.runtime.ioDevices.video.setPreviewGhost(transparency);
+    }
+
+    /**
+     * The classifier of a name.
+     * @param {string} [name] - the classifier name. Without one, the
+     *   selected classifier.
+     * @returns {?NamedClassifier} the classifier, null when there is none of
+     *   that name.
+     * @private
+     */
+    _findClassifier(name) {
+        const key = name === undefined || name === '' ? this.classifierName : Cast.toString(name)
+        return this.classifiers[key] || null
+    }
+
+    /**
+     * The classifier of a name, created when it does not exist yet.
+     * @param {string} [name] - the classifier name. Without one, the
+     *   selected classifier.
+     * @returns {NamedClassifier} the classifier.
+     * @private
+     */
+    _getClassifier(name) {
+        const key = name === undefined || name === '' ? this.classifierName : Cast.toString(name)
+        if (!this.classifiers[key]) {
+            this.classifiers[key] = new NamedClassifier()
+        }
+        return this.classifiers[key]
+    }
+
+    /**
+     * Whether any classifier has examples.
+     * @returns {boolean} true when there are examples.
+     * @private
+     */
+    _hasExamples() {
+        return Object.keys(this.classifiers).some(name => this.classifiers[name].hasExamples())
+    }
+
+    /**
+     * Free and forget every classifier.
+     * @private
+     */
+    _disposeClassifiers() {
+        Object.keys(this.classifiers).forEach(name => this.classifiers[name].dispose())
+        this.classifiers = {}
+    }
+
+    /**
+     * Schedule the dataset to be written to the stage and checkpointed to
+     * IndexedDB. Repeated calls within DATASET_STORE_DELAY are collapsed into
+     * one write. Nothing is written while the project's dataset is waiting
+     * for MobileNet, so it is not lost.
+     * @private
+     */
+    _datasetChanged() {
+        if (this._pendingDataset) {
+            return;
+        }
+        if (this._storeTimeout) {
+            clearTimeout(this._storeTimeout);
+        }
+        this._storeTimeout = setTimeout(() => {
+            this._storeTimeout = null;
+            const data = this._serializeDataset();
+            this.storeDataset(data);
+            saveSession(data).catch(e => {
+                console.error('failed to autosave knn session:', e);
+            });
+        }, Scratch3Knn.DATASET_STORE_DELAY);
+    }
+
+    /**
+     * Serialize the examples, label names and settings of every classifier
+     * and the feature settings into a plain object.
+     * @returns {object} the serialized dataset.
+     * @private
+     */
+    _serializeDataset() {
+        const classifiers = {};
+        Object.keys(this.classifiers).forEach(name => {
+            const model = this.classifiers[name];
+            classifiers[name] = {
+                classifier: model.classifier,
+                labels: model.labels,
+                norms: model.exampleNorms,
+                thumbnails: model.exampleThumbnails,
+                groups: model.exampleGroups,
+                settings: model.getSettings()
+            };
+        });
+        return serializeDataset(classifiers, {
+            selected: this.classifierName,
+            features: {
+                mobilenetVersion: this.version,
+                endpoint: this.endpoint,
+                alpha: this.alpha
+            }
+        });
+    }
+
+    /**
+     * Replace the classifiers with the ones of a serialized dataset.
+     * @param {object} data - an object produced by `_serializeDataset`.
+     * @private
+     */
+    _restoreDataset(data) {
+        const {mobilenetVersion, endpoint, alpha, selected, classifiers} =
+            deserializeDataset(data, Scratch3Knn.DEFAULT_CLASSIFIER_NAME);
+        const disposeDataset = () => {
+            Object.keys(classifiers).forEach(name => {
+                const dataset = classifiers[name].dataset;
+                Object.keys(dataset).forEach(classIndex => dataset[classIndex].dispose());
+            });
+        };
+        // Examples only make sense for the MobileNet and the layer they were
+        // computed with, so switch to the dataset's model and layer. Datasets
+        // without a version were all computed with V1.
+        const version = mobilenetVersion || 1;
+        const ready = version !== this.version || (alpha && alpha !== this.alpha) ?
+            this._loadMobilenet(version, alpha || this._supportedAlpha(this.alpha, version)) :
+            Promise.resolve();
+        return ready.then(() => {
+            if (endpoint && this.mobilenet && this.mobilenet.endpoints.indexOf(endpoint) === -1) {
+                throw new Error(`KNN dataset was trained on unknown layer ${endpoint}.`);
+            }
+            if (endpoint && endpoint !== this.endpoint) {
+                this.endpoint = endpoint;
+                this._clearReference();
+            }
+            this._disposeClassifiers();
+            Object.keys(classifiers).forEach(name => {
+                const model = new NamedClassifier();
+                model.restore(classifiers[name]);
+                this.classifiers[name] = model;
+            });
+            this.classifierName = selected;
+            this._pendingDataset = null;
+        })
+            .catch(e => {
+                disposeDataset();
+                throw e;
+            });
+    }
+
+    /**
+     * Remove every classifier and go back to an empty default one.
+     * @private
+     */
+    _resetDataset() {
+        this._disposeClassifiers();
+        this.classifierName = Scratch3Knn.DEFAULT_CLASSIFIER_NAME;
+    }
+
+    /**
+     * Serialize the classifier's examples and the label names into a hidden
+     * stage variable, so they are saved with the project. The user is warned
+     * once when the dataset grows past DATASET_SIZE_WARNING.
+     * @param {object} [data] - the already serialized dataset.
+     */
+    storeDataset(data) {
+        const stage = this.runtime.getTargetForStage();
+        if (!stage) {
+            return;
+        }
+        const variable = stage.lookupOrCreateVariable(
+            Scratch3Knn.DATASET_VARIABLE_ID,
+            Scratch3Knn.DATASET_VARIABLE_NAME
+        );
+        this._hideDatasetVariable(variable);
+        const value = JSON.stringify(data || this._serializeDataset());
+        const tooLarge = value.length > Scratch3Knn.DATASET_SIZE_WARNING;
+        if (tooLarge && !this._datasetSizeWarned) {
+            const megabytes = Math.round(Scratch3Knn.DATASET_SIZE_WARNING / 1024 / 1024);
+            alert(`训练数据已超过 ${megabytes} MB，项目文件可能无法保存，请减少样本数量或增强数量`);
+        }
+        this._datasetSizeWarned = tooLarge;
+        variable.value = value;
+        this.runtime.emitProjectChanged();
+    }
+
+    /**
+     * Give the dataset variable its hidden type, and refresh the workspace
+     * when it was listed in the palette, e.g. right after loading a project.
+     * @param {Variable} variable - the dataset variable.
+     * @private
+     */
+    _hideDatasetVariable(variable) {
+        if (variable.type === Scratch3Knn.DATASET_VARIABLE_TYPE) {
+            return;
+        }
+        variable.type = Scratch3Knn.DATASET_VARIABLE_TYPE;
+        this.runtime.requestBlocksUpdate();
+    }
+
+    /**
+     * Replace the classifier's examples and label names with the ones saved
+     * in the stage variable. Without a saved dataset the classifier is
+     * cleared, so examples do not leak from one project into the next.
+     * @returns {Promise} resolved once the dataset was restored.
+     */
+    loadDataset() {
+        const stage = this.runtime.getTargetForStage();
+        if (!stage) {
+            return Promise.resolve();
+        }
+        if (this._storeTimeout) {
+            clearTimeout(this._storeTimeout);
+            this._storeTimeout = null;
+        }
+        // The reference belongs to the project it was captured in.
+        this._clearReference();
+        const variable = stage.lookupVariableById(Scratch3Knn.DATASET_VARIABLE_ID);
+        if (variable) {
+            this._hideDatasetVariable(variable);
+        }
+        if (!variable || !variable.value) {
+            this._pendingDataset = null;
+            this._resetDataset();
+            return Promise.resolve();
+        }
+        return this._restoreSavedDataset(variable.value);
+    }
+
+    /**
+     * Restore a dataset saved with the project. When that fails because
+     * MobileNet could not be loaded, the saved dataset is kept for the next
+     * model that loads rather than overwritten by an empty one.
+     * @param {string} value - the value of the dataset variable.
+     * @returns {Promise} resolved once the dataset was restored or dropped.
+     * @private
+     */
+    _restoreSavedDataset(value) {
+        this._pendingDataset = value;
+        const restore = this._pendingRestore = Promise.resolve()
+            .then(() => this._restoreDataset(JSON.parse(value)))
+            .catch(e => {
+                console.error('failed to load knn dataset:', e);
+                if (restore !== this._pendingRestore) {
+                    return;
+                }
+                this._resetDataset();
+                if (this.modelStatus === ModelStatus.FAILED) {
+                    alert('模型加载失败，项目中的训练数据将在模型加载成功后载入，在此之前的训练不会被保存')
+                } else {
+                    this._pendingDataset = null;
+                }
+            })
+            .then(() => {
+                if (restore === this._pendingRestore) {
+                    this._pendingRestore = null;
+                }
+            });
+        return restore;
+    }
+
+    /**
+     * Load the dataset saved with the project, and the first time a project
+     * is loaded offer to restore the autosaved training session. The offer
+     * comes after loading, so the project's dataset does not overwrite an
+     * accepted restore.
+     * @returns {Promise} resolved once the dataset was loaded and the session
+     *   restored or declined.
+     * @private
+     */
+    _onProjectLoaded() {
+        return this.loadDataset().then(() => {
+            if (this._sessionRestoreOffered) {
+                return;
+            }
+            this._sessionRestoreOffered = true;
+            return this.offerSessionRestore();
+        });
+    }
+
+    /**
+     * Offer to restore the training session autosaved to IndexedDB, for
+     * example after the browser crashed. Nothing is offered when the open
+     * project already holds examples.
+     * @returns {Promise} resolved once the session was restored or declined.
+     */
+    offerSessionRestore() {
+        return loadSession().then(session => {
+            if (!session || !hasExamples(session.data)) {
+                return;
+            }
+            if (this._hasExamples()) {
+                return;
+            }
+            const savedAt = new Date(session.savedAt).toLocaleString();
+            if (!confirm(`发现 ${savedAt} 自动保存的训练数据，是否恢复？`)) {
+                return clearSession();
+            }
+            return this._restoreDataset(session.data).then(() => this._datasetChanged());
+        })
+            .catch(e => {
+                console.error('failed to restore knn session:', e);
+            });
+    }
+
+    /**
+     * Download the trained dataset as a JSON file, so it can be imported into
+     * another project.
+     */
+    exportModel() {
+        const blob = new Blob([JSON.stringify(this._serializeDataset())], {
+            type: 'application/json'
+        });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = Scratch3Knn.MODEL_FILE_NAME;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Ask the user for a file written by `exportModel` and replace the
+     * trained dataset with it.
+     * @returns {Promise} resolved once the file was imported, or the dialog
+     *   was closed without choosing one.
+     */
+    importModel() {
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.onchange = () => {
+                const file = input.files[0];
+                if (!file) {
+                    resolve();
+                    return;
+                }
+                const reader = new FileReader();
+                reader.onload = () => {
+                    Promise.resolve()
+                        .then(() => this._restoreDataset(JSON.parse(reader.result)))
+                        .then(() => this._datasetChanged())
+                        .catch(e => {
+                            console.error('failed to import knn model:', e);
+                            alert('模型文件无效');
+                        })
+                        .then(resolve);
+                };
+                reader.onerror = () => {
+                    alert('模型文件读取失败');
+                    resolve();
+                };
+                reader.readAsText(file);
+            };
+            // The file dialog does not report being cancelled; the window
+            // regains focus before `change` would fire, so check shortly after.
+            window.addEventListener('focus', () => {
+                setTimeout(() => {
+                    if (!input.files.length) {
+                        resolve();
+                    }
+                }, 500);
+            }, {once: true});
+            input.click();
+        });
+    }
+
+    updateExampleCounts(args, util) {
+        const model = this._getClassifier()
+        let counts = model.getClassExampleCount();
+        this.runtime.emit('SAY', util.target, 'say', model.labels.map((item, index) => {
+            return item === null ? '' : item + '样本数：' + (counts[index] || 0) + '\n'
+        }).filter(item => item).join('\n'));
+    }
+
+    isloaded() {
+        return Boolean(this.mobilenet)
+    }
+
+    getModelStatus() {
+        return this.modelStatus
+    }
+
+    getModelError() {
+        return this.modelError
+    }
+
+    /**
+     * A scratch reporter block handle for the percentage of the MobileNet
+     * weights downloaded. Only V1 reports progress shard by shard; the
+     * frozen V2 graph is loaded by tfjs-converter, which does not report
+     * progress, so it goes from 0 straight to 100.
+     * @returns {number} the percentage downloaded.
+     */
+    getModelProgress() {
+        return this.modelProgress
+    }
+
+    whenModelReady() {
+        return this.modelStatus === ModelStatus.READY
+    }
+
+    /**
+     * A scratch command block handle that loads the last requested MobileNet
+     * again, for example after the network was down.
+     * @returns {Promise} resolved once the model loaded or failed again.
+     */
+    retryLoadModel() {
+        if (this.modelStatus === ModelStatus.LOADING) {
+            return
+        }
+        const {version, alpha} = this._mobilenetRequest
+        return this._loadMobilenet(version, alpha).catch(() => {})
+    }
+    train(args, util) {
+        if (this.globalVideoState === VideoState.OFF) {
+            console.log('请先打开摄像头')
+            return
+        }
+        const model = this._getClassifier(args.CLASSIFIER)
+        const index = model.addLabel(Cast.toString(args.STRING))
+        if (index === -1) {
+            return
+        }
+        let img = document.createElement('img')
+        img.src = this.runtime.ioDevices.video.getFrame({
+            format: Video.FORMAT_CANVAS,
+            dimensions: Scratch3Knn.DIMENSIONS
+        }).toDataURL("image/png")
+        img.width = 480
+        img.height = 360
+        img.onload = () => {
+            this._addFrameExamples(img, model, index)
+        }
+    }
+
+    /**
+     * Add a captured frame as an example, along with the jittered variants
+     * `augmentation` asks for, each with a thumbnail.
+     * @param {HTMLImageElement|HTMLCanvasElement} frame - the captured frame.
+     * @param {NamedClassifier} model - the classifier to add the examples to.
+     * @param {number} classIndex - the class index to add the examples to.
+     * @private
+     */
+    _addFrameExamples(frame, model, classIndex) {
+        const images = [frame].concat(augmentFrame(frame, this.augmentation))
+        const logits = images.map(image => tf.tidy(() => this._embed(tf.fromPixels(image))))
+        // One capture is one step for "undo last training sample".
+        model.addExamples(logits, classIndex, images.map(makeThumbnail))
+        logits.forEach(embedding => embedding.dispose())
+        this._datasetChanged()
+    }
+
+    /**
+     * A scratch command block handle that selects the classifier the label,
+     * settings and evaluation blocks apply to, creating it when needed.
+     * @param {object} args - the block arguments
+     * @param {string} args.NAME - the classifier name
+     */
+    useClassifier(args) {
+        const name = Cast.toString(args.NAME)
+        if (!name || name === this.classifierName) {
+            return
+        }
+        this.classifierName = name
+        this._getClassifier(name)
+        this._datasetChanged()
+    }
+
+    /**
+     * A scratch command block handle that removes a classifier with its
+     * labels and examples. Deleting the selected classifier selects the
+     * default one.
+     * @param {object} args - the block arguments
+     * @param {string} args.NAME - the classifier name
+     */
+    deleteClassifier(args) {
+        const name = Cast.toString(args.NAME)
+        if (!this.classifiers[name]) {
+            return
+        }
+        this.classifiers[name].dispose()
+        delete this.classifiers[name]
+        if (name === this.classifierName) {
+            this.classifierName = Scratch3Knn.DEFAULT_CLASSIFIER_NAME
+        }
+        this._datasetChanged()
+    }
+
+    getClassifierName() {
+        return this.classifierName
+    }
+
+    /**
+     * A scratch command block handle that gives a label of the selected
+     * classifier a new name. Its samples stay with it.
+     * @param {object} args - the block arguments
+     * @param {string} args.STRING - the current label name
+     * @param {string} args.NAME - the new label name
+     */
+    renameLabel(args) {
+        const model = this._getClassifier()
+        const index = model.classIndexOf(Cast.toString(args.STRING))
+        const name = Cast.toString(args.NAME)
+        if (index === -1) {
+            alert('未找到对应类别')
+            return
+        }
+        if (!name || name === model.labels[index]) {
+            return
+        }
+        if (model.classIndexOf(name) !== -1) {
+            alert('已存在同名类别')
+            return
+        }
+        model.renameLabel(index, name)
+        this._datasetChanged()
+    }
+
+    /**
+     * A scratch command block handle that removes a label of the selected
+     * classifier and its samples. Its class index is handed out to the next
+     * new label.
+     * @param {object} args - the block arguments
+     * @param {string} args.STRING - the label name
+     */
+    deleteLabel(args) {
+        const model = this._getClassifier()
+        const index = model.classIndexOf(Cast.toString(args.STRING))
+        if (index === -1) {
+            return
+        }
+        model.deleteLabel(index)
+        this._datasetChanged()
+    }
+
+    /**
+     * A scratch reporter block handle for the names of every label of the
+     * selected classifier.
+     * @returns {string} the label names, separated by commas.
+     */
+    getAllLabels() {
+        return this._getClassifier().labels.filter(label => label !== null).join(', ')
+    }
+
+    /**
+     * A scratch command block handle that trains a label with a burst of
+     * frames, one every `MS` milliseconds, after the sprite counted down
+     * `COUNTDOWN` seconds. Frames are read straight from the video device, so
+     * every sample is trained before the next one is taken and the block
+     * finishes only once all of them are. Starting another burst or pressing
+     * the stop sign ends a running one early.
+     * @param {object} args - the block arguments
+     * @param {string} args.CLASSIFIER - the classifier name
+     * @param {string} args.STRING - the label name
+     * @param {number} args.N - the number of samples
+     * @param {number} args.MS - the milliseconds between samples
+     * @param {number} args.COUNTDOWN - the seconds to count down first
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} resolved once the capture is done.
+     */
+    trainBurst(args, util) {
+        if (this.globalVideoState === VideoState.OFF) {
+            console.log('请先打开摄像头')
+            return
+        }
+        const model = this._getClassifier(args.CLASSIFIER)
+        const index = model.addLabel(Cast.toString(args.STRING))
+        if (index === -1) {
+            return
+        }
+        const count = Math.max(0, Math.round(Cast.toNumber(args.N)))
+        const interval = Math.max(0, Cast.toNumber(args.MS))
+        const countdown = Math.max(0, Math.round(Cast.toNumber(args.COUNTDOWN)))
+        const target = util.target
+        const capture = {}
+        this._capture = capture
+        const running = () => this._capture === capture
+        const say = text => {
+            if (!target.isStage) {
+                this.runtime.emit('SAY', target, 'say', text)
+            }
+        }
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+        const countDown = remaining => {
+            if (!running() || remaining === 0) {
+                say('')
+                return Promise.resolve()
+            }
+            say(String(remaining))
+            return wait(1000).then(() => countDown(remaining - 1))
+        }
+        const captureFrom = taken => {
+            if (!running() || taken === count) {
+                return Promise.resolve()
+            }
+            const frame = this._getFrameCanvas()
+            if (!frame) {
+                return Promise.resolve()
+            }
+            this._addFrameExamples(frame, model, index)
+            if (taken + 1 === count) {
+                return Promise.resolve()
+            }
+            return wait(interval).then(() => captureFrom(taken + 1))
+        }
+        const finish = () => {
+            if (running()) {
+                this._capture = null
+            }
+        }
+        return countDown(countdown)
+            .then(() => captureFrom(0))
+            .then(finish, e => {
+                finish()
+                throw e
+            })
+    }
 
-                    }
-                },
-                {
-                    opcode: 'getConfidence',
-                    blockType: BlockType.REPORTER,
-                    text: formatMessage({
-                        id: 'knn.getConfidence',
-                        default: 'getConfidence [STRING]',
-                        description: 'getConfidence'
-                    }),
-                    arguments: {
-                        STRING: {
-                            type: ArgumentType.STRING,
-                            defaultValue: "label1"
-                        }
-                    }
-                },
-                {
-                    opcode: 'whenGetResult',
-                    blockType: BlockType.HAT,
-                    text: formatMessage({
-                        id: 'knn.whenGetResult',
-                        default: 'when get [STRING]',
-                        description: 'whenGetResult'
-                    }),
-                    arguments: {
-                        STRING: {
-                            type: ArgumentType.STRING,
-                            defaultValue: "label1"
-                        }
-                    }
-                }
-            ],
-            menus: {
-                ATTRIBUTE: {
-                    acceptReporters: true,
-                    items: this._buildMenu(this.ATTRIBUTE_INFO)
-                },
-                SUBJECT: {
-                    acceptReporters: true,
-                    items: this._buildMenu(this.SUBJECT_INFO)
-                },
-                VIDEO_STATE: {
-                    acceptReporters: true,
-                    items:this._buildMenu(this.VIDEO_STATE_INFO),
-                },
-                typemenu: {
-                    acceptReporters: true,
-                    items: '_typeArr'
-                }
+    /**
+     * A scratch boolean block handle that reports whether a burst capture is
+     * running, including its countdown.
+     * @returns {boolean} true while capturing.
+     */
+    isCapturing() {
+        return Boolean(this._capture)
+    }
+
+    /**
+     * End the running burst capture, if any.
+     * @private
+     */
+    _stopCapture() {
+        this._capture = null
+    }
+
+    /**
+     * A scratch command block handle that sets how many variants of a kind
+     * are added along with every captured frame. 0 turns the kind off.
+     * @param {object} args - the block arguments
+     * @param {number} args.N - the number of variants
+     * @param {AugmentationType} args.VARIANT - the kind of variant
+     */
+    setAugmentation(args) {
+        const types = Object.keys(AugmentationType).map(key => AugmentationType[key])
+        if (types.indexOf(args.VARIANT) === -1) {
+            return
+        }
+        this.augmentation[args.VARIANT] = Math.max(0, Math.round(Cast.toNumber(args.N)))
+    }
+
+    /**
+     * Scratch command block handles of the fixed label slot blocks projects
+     * may have been saved with. They train the label they name, like
+     * "Train label", and remember it as their slot's label.
+     * @param {object} args - the block arguments
+     * @param {string} args.STRING - the label name
+     * @param {object} util - utility object provided by the runtime.
+     */
+    trainA(args, util) {
+        this._trainSlot(0, args, util)
+    }
+
+    trainB(args, util) {
+        this._trainSlot(1, args, util)
+    }
+
+    trainC(args, util) {
+        this._trainSlot(2, args, util)
+    }
+
+    /**
+     * Train the label an old fixed slot block names, and make it the label
+     * the slot's sample reporter counts.
+     * @param {number} slot - the slot, from 0.
+     * @param {object} args - the block arguments
+     * @param {string} args.STRING - the label name
+     * @param {object} util - utility object provided by the runtime.
+     * @private
+     */
+    _trainSlot(slot, args, util) {
+        this._slotLabels[slot] = Cast.toString(args.STRING)
+        this.train({STRING: args.STRING}, util)
+    }
+
+    /**
+     * The old block that added a label slot. Labels are created when they
+     * are first trained now, so there is nothing left to do.
+     */
+    addTrainType() {}
+
+    /**
+     * Scratch reporter block handles of the fixed label slot blocks projects
+     * may have been saved with: the number of samples the selected
+     * classifier has of the label last trained by "Train 1", "Train 2" and
+     * "Train 3". Class indices follow the order labels were first trained
+     * in, so they cannot stand for the slots.
+     * @returns {number} the number of samples.
+     */
+    Sample1() {
+        return this._slotSampleCount(0)
+    }
+
+    Sample2() {
+        return this._slotSampleCount(1)
+    }
+
+    Sample3() {
+        return this._slotSampleCount(2)
+    }
+
+    /**
+     * Count the samples of the label an old fixed slot stands for.
+     * @param {number} slot - the slot, from 0.
+     * @returns {number} the number of samples.
+     * @private
+     */
+    _slotSampleCount(slot) {
+        const model = this._getClassifier()
+        const index = model.classIndexOf(this._slotLabels[slot])
+        return model.getClassExampleCount()[index] || 0
+    }
+
+    Samples(args, util) {
+        const model = this._getClassifier()
+        let counts = model.getClassExampleCount();
+        let index = model.classIndexOf(Cast.toString(args.STRING))
+        return counts[index] || 0
+    }
+    resetTrain(args, util) {
+        const model = this._getClassifier()
+        let counts = model.getClassExampleCount();
+        let index = model.classIndexOf(Cast.toString(args.STRING))
+        if (!counts[index]) {
+            alert('该类别无训练数据')
+            return
+        }
+        if (index < 0) {
+            alert('未找到对应类别')
+            return
+        }
+        model.clearClass(index);
+        this._datasetChanged();
+        // this.updateExampleCounts(args, util);
+    }
+
+    /**
+     * A scratch command block handle that takes back the last training of a
+     * classifier: the captured frame and its augmented variants.
+     * @param {object} args - the block arguments
+     * @param {string} args.CLASSIFIER - the classifier name
+     */
+    undoLastSample(args) {
+        const model = this._findClassifier(args.CLASSIFIER)
+        if (model && model.undo()) {
+            this._datasetChanged()
+        }
+    }
+
+    /**
+     * A scratch command block handle that removes one example of a label of
+     * the selected classifier, counting from 1.
+     * @param {object} args - the block arguments
+     * @param {number} args.N - the number of the example
+     * @param {string} args.STRING - the label name
+     */
+    removeSample(args) {
+        const model = this._getClassifier()
+        const index = model.classIndexOf(Cast.toString(args.STRING))
+        if (index === -1) {
+            alert('未找到对应类别')
+            return
+        }
+        if (model.removeExample(index, Math.round(Cast.toNumber(args.N)) - 1)) {
+            this._datasetChanged()
+        }
+    }
+
+    /**
+     * A scratch command block handle that dresses the sprite in the
+     * thumbnail of one example of a label of the selected classifier,
+     * counting from 1.
+     * @param {object} args - the block arguments
+     * @param {number} args.N - the number of the example
+     * @param {string} args.STRING - the label name
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} resolved once the sprite wears the thumbnail.
+     */
+    showSample(args, util) {
+        const model = this._getClassifier()
+        const index = model.classIndexOf(Cast.toString(args.STRING))
+        const thumbnail = index === -1 ? null : model.getThumbnail(index, Math.round(Cast.toNumber(args.N)) - 1)
+        if (!thumbnail) {
+            return
+        }
+        return setCostumeFromImage(this.runtime, util.target, thumbnail, 'knn sample')
+    }
+
+    /**
+     * A scratch command block handle that limits how many examples every
+     * label of the selected classifier keeps. Labels with more examples are
+     * trimmed straight away.
+     * @param {object} args - the block arguments
+     * @param {number} args.N - the largest number of examples, 0 for no limit
+     * @param {EvictionPolicy} args.POLICY - which example makes room
+     */
+    setMaxExamples(args) {
+        const max = Cast.toNumber(args.N)
+        const policy = Cast.toString(args.POLICY)
+        if (max !== 0 && !(max >= 1)) {
+            alert('样本上限须为正整数，0 表示不限')
+            return
+        }
+        if (policy !== EvictionPolicy.OLDEST && policy !== EvictionPolicy.RESERVOIR) {
+            alert('未知的淘汰方式')
+            return
+        }
+        this._getClassifier().setExampleLimit(Math.round(max), policy)
+        this._datasetChanged()
+    }
+
+    getResult(args, util) {
+        const model = this._findClassifier(args.CLASSIFIER)
+        return model ? model.trainResult : ''
+    }
+    getConfidence(args, util) {
+        const model = this._findClassifier(args.CLASSIFIER)
+        let index = model ? model.classIndexOf(Cast.toString(args.STRING)) : -1
+        if (index === -1) {
+            return 0
+        }
+        return (model.trainConfidences && model.trainConfidences[index]) || 0
+    }
+    /**
+     * Classify the current video frame with every classifier that has
+     * examples. MobileNet runs once for all of them, and its embedding is
+     * kept for the reporters that compare the camera with examples.
+     * @returns {Promise.<string|undefined>} the result of the selected
+     *   classifier.
+     */
+    gotResult(args, util) {
+        const models = Object.keys(this.classifiers)
+            .map(name => this.classifiers[name])
+            .filter(model => model.hasExamples())
+        if (!models.length) {
+            return Promise.resolve()
+        }
+        const {mobilenet, endpoint} = this
+        const logits = this._inferFrame()
+        if (!logits) {
+            return Promise.resolve()
+        }
+        return Promise.all(models.map(model => model.classify(logits)))
+            .then(() => {
+                this._cacheFrameEmbedding(logits, mobilenet, endpoint)
+                const selected = this._findClassifier()
+                return selected ? selected.trainResult : undefined
+            }, e => {
+                logits.dispose()
+                throw e
+            })
+    }
+
+    setRejectDistance(args) {
+        this._getClassifier().rejectDistance = Math.max(0, Cast.toNumber(args.DISTANCE))
+        this._datasetChanged()
+    }
+
+    setRejectConfidence(args) {
+        this._getClassifier().rejectConfidence = Math.max(0, Cast.toNumber(args.CONFIDENCE))
+        this._datasetChanged()
+    }
+
+    setUnknownLabel(args) {
+        this._getClassifier().unknownLabel = Cast.toString(args.STRING)
+        this._datasetChanged()
+    }
+
+    setSmoothing(args) {
+        const mode = Cast.toString(args.MODE)
+        if ([SmoothingMode.OFF, SmoothingMode.MAJORITY, SmoothingMode.AVERAGE].indexOf(mode) === -1) {
+            return
+        }
+        const model = this._getClassifier()
+        model.smoothingMode = mode
+        model.smoothingWindow = Math.max(1, Math.round(Cast.toNumber(args.N)))
+        model.resetSmoothing()
+        this._datasetChanged()
+    }
+
+    setHysteresis(args) {
+        const model = this._getClassifier()
+        model.hysteresis = Math.max(1, Math.round(Cast.toNumber(args.M)))
+        model.resetSmoothing()
+        this._datasetChanged()
+    }
+
+    setDistanceMetric(args) {
+        const metric = Cast.toString(args.METRIC)
+        if (metric !== DistanceMetric.COSINE && metric !== DistanceMetric.EUCLIDEAN) {
+            return
+        }
+        this._getClassifier().distanceMetric = metric
+        this._datasetChanged()
+    }
+
+    setK(args) {
+        const k = Math.round(Cast.toNumber(args.K))
+        if (k < 1) {
+            return
+        }
+        this._getClassifier().k = k
+        this._datasetChanged()
+    }
+
+    setVotingMode(args) {
+        const mode = Cast.toString(args.MODE)
+        if (mode !== VotingMode.MAJORITY && mode !== VotingMode.WEIGHTED) {
+            return
+        }
+        this._getClassifier().votingMode = mode
+        this._datasetChanged()
+    }
+
+    setClassifierMode(args) {
+        const mode = Cast.toString(args.MODE)
+        if (mode !== ClassifierMode.KNN && mode !== ClassifierMode.NETWORK) {
+            return
+        }
+        this._getClassifier().classifierMode = mode
+        this._datasetChanged()
+    }
+
+    setTrainingEpochs(args) {
+        this._getClassifier().trainingEpochs = Math.max(1, Math.round(Cast.toNumber(args.EPOCHS)))
+        this._datasetChanged()
+    }
+
+    setLearningRate(args) {
+        const rate = Cast.toNumber(args.RATE)
+        if (rate > 0) {
+            this._getClassifier().learningRate = rate
+            this._datasetChanged()
+        }
+    }
+
+    /**
+     * A scratch command block handle that trains the neural network of the
+     * selected classifier on its current examples. Predictions keep using
+     * the previous network, or KNN, until training finished.
+     * @returns {Promise} resolved once training finished.
+     */
+    trainNetwork() {
+        const model = this._getClassifier()
+        if (Object.keys(model.getClassExampleCount()).length < 2) {
+            alert('至少需要两个类别的训练数据')
+            return
+        }
+        return model.trainNetwork()
+    }
+
+    getTrainingProgress() {
+        return this._getClassifier().trainingProgress
+    }
+
+    /**
+     * Grab the current video frame.
+     * @returns {?HTMLCanvasElement} the frame, or null when the video is off
+     *   or MobileNet is not loaded yet.
+     * @private
+     */
+    _getFrameCanvas() {
+        if (!this.mobilenet || this.globalVideoState === VideoState.OFF) {
+            return null
+        }
+        return this.runtime.ioDevices.video.getFrame({
+            format: Video.FORMAT_CANVAS,
+            dimensions: Scratch3Knn.DIMENSIONS
+        })
+    }
+
+    /**
+     * Compute the embedding of the current video frame at the feature layer
+     * in use.
+     * @returns {?tf.Tensor} the embedding, for the caller to dispose, or null
+     *   when there is no frame or MobileNet is not loaded.
+     * @private
+     */
+    _inferFrame() {
+        if (!this.mobilenet) {
+            return null
+        }
+        const frame = this._getFrameCanvas()
+        if (!frame) {
+            return null
+        }
+        return tf.tidy(() => this._embed(tf.fromPixels(frame)))
+    }
+
+    /**
+     * Compute the embedding of an image at the feature layer in use. The
+     * activations of convolutional layers are averaged over the image, so an
+     * example holds one number per channel and matches wherever in the frame
+     * the shapes or textures are. Call it inside `tf.tidy`.
+     * @param {tf.Tensor3D} pixels - the image.
+     * @returns {tf.Tensor} the embedding.
+     * @private
+     */
+    _embed(pixels) {
+        const features = this.mobilenet.infer(pixels, this.endpoint)
+        return features.rank === 4 ? features.mean([1, 2]) : features
+    }
+
+    /**
+     * Keep the embedding of a video frame for `_getFrameEmbedding`, freeing
+     * the one it replaces.
+     * @param {tf.Tensor} logits - the embedding, owned by the cache from now
+     *   on.
+     * @param {MobileNet} mobilenet - the model the embedding was computed
+     *   with.
+     * @param {string} endpoint - the layer the embedding was taken from.
+     * @private
+     */
+    _cacheFrameEmbedding(logits, mobilenet, endpoint) {
+        this._clearFrameEmbedding()
+        this._frameEmbedding = {
+            logits,
+            mobilenet,
+            endpoint,
+            time: Date.now()
+        }
+    }
+
+    /**
+     * Free the cached video frame embedding.
+     * @private
+     */
+    _clearFrameEmbedding() {
+        if (this._frameEmbedding) {
+            this._frameEmbedding.logits.dispose()
+            this._frameEmbedding = null
+        }
+    }
+
+    /**
+     * The embedding of the current video frame. The one the last
+     * classification computed is reused while it is younger than
+     * KNN_INTERVAL and from the model and layer in use; otherwise a new one
+     * is computed and cached in turn. It belongs to the cache, so callers
+     * must use it right away and not dispose it.
+     * @returns {?tf.Tensor} the embedding, or null when there is no frame or
+     *   MobileNet is not loaded.
+     * @private
+     */
+    _getFrameEmbedding() {
+        if (!this.mobilenet || this.globalVideoState === VideoState.OFF) {
+            return null
+        }
+        const cached = this._frameEmbedding
+        if (cached && cached.mobilenet === this.mobilenet && cached.endpoint === this.endpoint &&
+            Date.now() - cached.time < this.KNN_INTERVAL) {
+            return cached.logits
+        }
+        const logits = this._inferFrame()
+        if (logits) {
+            this._cacheFrameEmbedding(logits, this.mobilenet, this.endpoint)
+        }
+        return logits
+    }
+
+    /**
+     * Find the example of the selected classifier closest to the current
+     * video frame. The frame embedding is shared, so properties of the
+     * nearest sample read one after the other describe the same sample.
+     * @returns {Promise.<?{model: NamedClassifier, classIndex: number,
+     *   index: number, distance: number}>} the classifier, class index,
+     *   position within the class and distance of the nearest example, null
+     *   when there is no frame or no example.
+     * @private
+     */
+    _findNearestSample() {
+        const model = this._getClassifier()
+        if (!model.hasExamples()) {
+            return Promise.resolve(null)
+        }
+        const logits = this._getFrameEmbedding()
+        if (!logits) {
+            return Promise.resolve(null)
+        }
+        return model.findNearest(logits).then(nearest => nearest && Object.assign({model}, nearest))
+    }
+
+    /**
+     * A scratch reporter block handle for the label, distance or number of
+     * the training example closest to the current video frame, which
+     * explains what the classifier based its result on.
+     * @param {object} args - the block arguments
+     * @param {NearestSampleProperty} args.PROPERTY - what to report
+     * @returns {Promise.<string|number>} the property, empty when there is no
+     *   example.
+     */
+    getNearestSample(args) {
+        return this._findNearestSample().then(nearest => {
+            if (!nearest) {
+                return ''
             }
-        };
+            switch (args.PROPERTY) {
+            case NearestSampleProperty.DISTANCE:
+                return Math.round(nearest.distance * 1000) / 1000
+            case NearestSampleProperty.NUMBER:
+                return nearest.index + 1
+            default:
+                return nearest.model.labels[nearest.classIndex]
+            }
+        })
     }
 
-    _typeArr () {
-        return typeArr.slice(3).map(item => item.toString())
+    /**
+     * A scratch command block handle that dresses the sprite in the
+     * thumbnail of the training example closest to the current video frame.
+     * @param {object} args - the block arguments
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} resolved once the sprite wears the thumbnail.
+     */
+    showNearestSample(args, util) {
+        const target = util.target
+        return this._findNearestSample().then(nearest => {
+            const thumbnail = nearest && nearest.model.getThumbnail(nearest.classIndex, nearest.index)
+            if (!thumbnail) {
+                return
+            }
+            return setCostumeFromImage(this.runtime, target, thumbnail, 'knn nearest sample')
+        })
     }
+
     /**
-     * A scratch command block handle that configures the video state from
-     * passed arguments.
+     * A scratch reporter block handle for how much the current video frame
+     * looks like the examples of a label of the selected classifier, by the
+     * average distance to all of them or the distance to the closest one.
      * @param {object} args - the block arguments
-     * @param {VideoState} args.VIDEO_STATE - the video state to set the device to
+     * @param {string} args.STRING - the label name
+     * @param {SimilarityMode} args.MODE - how the distances are combined
+     * @returns {Promise.<number>} the score from 0 to 100.
      */
-    videoToggle(args) {
-        const state = args.VIDEO_STATE;
-        this.globalVideoState = state;
-        if (state === VideoState.OFF) {
-            this.runtime.ioDevices.video.disableVideo();
-        } else {
-            this.runtime.ioDevices.video.enableVideo();
-            // Mirror if state is ON. Do not mirror if state is ON_FLIPPED.
-            this.runtime.ioDevices.video.mirror = state === VideoState.ON;
+    getSimilarity(args) {
+        const model = this._getClassifier()
+        const index = model.classIndexOf(Cast.toString(args.STRING))
+        if (index === -1) {
+            return 0
+        }
+        const logits = this._getFrameEmbedding()
+        if (!logits) {
+            return 0
         }
+        const mode = args.MODE === SimilarityMode.NEAREST ? SimilarityMode.NEAREST : SimilarityMode.MEAN
+        return model.similarity(logits, index, mode)
     }
 
     /**
-     * A scratch command block handle that configures the video preview's
-     * transparency from passed arguments.
-     * @param {object} args - the block arguments
-     * @param {number} args.TRANSPARENCY - the transparency to set the video
-     *   preview to
+     * A scratch command block handle that remembers the embedding of the
+     * current video frame, for one-shot matching without any labels.
      */
-    setVideoTransparency(args) {
-        const transparency = Cast.toNumber(args.TRANSPARENCY);
-        this.globalVideoTransparency = transparency;
-        this.runtime.ioDevices.video.setPreviewGhost(transparency);
+    captureReference() {
+        const logits = this._getFrameEmbedding()
+        if (!logits) {
+            return
+        }
+        this._clearReference()
+        // Stored like the classifier's examples, so it can be compared the
+        // same way.
+        this.reference = tf.tidy(() => {
+            const flat = logits.flatten()
+            return flat.div(flat.norm()).expandDims(0)
+        })
     }
 
-    clearClass(classIndex) {
-        this.classifier.clearClass(classIndex);
+    /**
+     * Forget the captured reference. Embeddings of another model or layer
+     * can not be compared with it.
+     * @private
+     */
+    _clearReference() {
+        if (this.reference) {
+            this.reference.dispose()
+            this.reference = null
+        }
     }
 
-    updateExampleCounts(args, util) {
-        let counts = this.classifier.getClassExampleCount();
-        this.runtime.emit('SAY', util.target, 'say', this.trainTypes.map((item, index) => {
-            return item + '样本数：' + (counts[index] || 0) + '\n'
-        }).join('\n'));
+    /**
+     * A scratch reporter block handle for how much the current video frame
+     * looks like the captured reference.
+     * @returns {Promise.<number>} the score from 0 to 100, 0 without a
+     *   reference.
+     */
+    getReferenceSimilarity() {
+        if (!this.reference) {
+            return 0
+        }
+        const logits = this._getFrameEmbedding()
+        if (!logits) {
+            return 0
+        }
+        return findNeighbours({0: this.reference}, logits, 1)
+            .then(neighbours => toSimilarityScore(neighbours[0].distance))
     }
 
-    isloaded() {
-        return Boolean(this.mobilenet)
+    /**
+     * Classify the current video frame with the ImageNet classes MobileNet
+     * was trained on.
+     * @param {number} topk - how many classes to return.
+     * @returns {Promise.<Array.<{className: string, probability: number}>>}
+     *   the most likely classes, empty when there is no frame.
+     * @private
+     */
+    _classifyFrame(topk) {
+        const frame = this._getFrameCanvas()
+        if (!frame) {
+            return Promise.resolve([])
+        }
+        return this.mobilenet.classify(frame, topk)
     }
-    train(args, util) {
-        if (this.globalVideoState === VideoState.OFF) {
-            console.log('请先打开摄像头')
-            return
+
+    imagenetLabel(args, util) {
+        return this._classifyFrame(1).then(classes => {
+            return classes.length ? classes[0].className : ''
+        })
+    }
+
+    imagenetTopLabels(args, util) {
+        const classCount = Object.keys(mobilenetModule.IMAGENET_CLASSES).length
+        const topk = Math.max(1, Math.min(classCount, Math.round(Cast.toNumber(args.N))))
+        return this._classifyFrame(topk).then(classes => {
+            return classes.map(item => item.className).join('; ')
+        })
+    }
+
+    /**
+     * A scratch reporter block handle for the probability of one ImageNet
+     * class. The class can be given by its full name or any of its synonyms,
+     * e.g. "tabby" for "tabby, tabby cat".
+     * @param {object} args - the block arguments
+     * @param {string} args.CLASS - the ImageNet class name
+     * @returns {Promise.<number>} the probability between 0 and 1.
+     */
+    imagenetConfidence(args, util) {
+        const name = Cast.toString(args.CLASS).trim().toLowerCase()
+        const classes = mobilenetModule.IMAGENET_CLASSES
+        const classIndex = Object.keys(classes).find(index => {
+            const className = classes[index].toLowerCase()
+            return className === name || className.split(', ').indexOf(name) !== -1
+        })
+        const frame = this._getFrameCanvas()
+        if (classIndex === undefined || !frame) {
+            return 0
         }
-        let index = typeArr.findIndex(item => item === args.type)
-        let img = document.createElement('img')
-        img.src = this.runtime.ioDevices.video.getFrame({
-            format: Video.FORMAT_CANVAS,
-            dimensions: Scratch3Knn.DIMENSIONS
-        }).toDataURL("image/png")
-        img.width = 480
-        img.height = 360
-        img.onload = () => {
-            const img0 = tf.fromPixels(img);
-            const logits0 = this.mobilenet.infer(img0, 'conv_preds');
-            this.classifier.addExample(logits0, index);
-            this.trainTypes[index] = args.STRING
+        const probabilities = this.mobilenet.infer(frame)
+        return probabilities.data().then(values => {
+            probabilities.dispose()
+            return values[classIndex]
+        })
+    }
+
+    /**
+     * A scratch command block handle that estimates how well KNN with the
+     * current settings of the selected classifier classifies, by classifying
+     * every stored example with the examples outside its fold.
+     * @param {object} args - the block arguments
+     * @param {string} args.METHOD - the number of folds, 0 for leave-one-out
+     * @returns {Promise} resolved once the evaluation finished.
+     */
+    evaluateModel(args) {
+        return this._getClassifier().evaluate(Math.round(Cast.toNumber(args.METHOD)))
+    }
+
+    /**
+     * @param {{total: number, correct: number}} counts - how many examples
+     *   were evaluated and how many of them were right.
+     * @returns {number} the percentage right, 0 when nothing was evaluated.
+     * @private
+     */
+    _toAccuracy(counts) {
+        if (!counts || !counts.total) {
+            return 0
         }
+        return Math.round(counts.correct / counts.total * 1000) / 10
     }
 
-    addTrainType() {
-        typeArr.push((typeArr.length + 1).toString())
-        this.trainTypes.push('label' + (this.trainTypes.length + 1).toString())
+    getAccuracy() {
+        return this._toAccuracy(this._getClassifier().evaluation)
     }
 
-    trainA(args, util) {
-        if (this.globalVideoState === VideoState.OFF) {
-            alert('请先打开摄像头')
-            return
+    getLabelAccuracy(args) {
+        const model = this._getClassifier()
+        const index = model.classIndexOf(Cast.toString(args.STRING))
+        if (index === -1 || !model.evaluation) {
+            return 0
         }
-        let img = document.createElement('img')
-        img.src = this.runtime.ioDevices.video.getFrame({
-            format: Video.FORMAT_CANVAS,
-            dimensions: Scratch3Knn.DIMENSIONS
-        }).toDataURL("image/png")
-        img.width = 480
-        img.height = 360
-        img.onload = () => {
-            const img0 = tf.fromPixels(img);
-            const logits0 = this.mobilenet.infer(img0, 'conv_preds');
-            this.classifier.addExample(logits0, 0);
-            this.trainTypes[0] = args.STRING
+        return this._toAccuracy(model.evaluation.classes[index])
+    }
+
+    /**
+     * A scratch reporter block handle for one row of the confusion matrix:
+     * how many examples of a label the last evaluation classified as each
+     * label, e.g. "cat: 8, dog: 2".
+     * @param {object} args - the block arguments
+     * @param {string} args.STRING - the actual label
+     * @returns {string} the predicted labels and their counts.
+     */
+    getConfusionRow(args) {
+        const model = this._getClassifier()
+        const index = model.classIndexOf(Cast.toString(args.STRING))
+        if (index === -1 || !model.evaluation || !model.evaluation.confusion[index]) {
+            return ''
         }
+        const row = model.evaluation.confusion[index]
+        return Object.keys(row)
+            .map(predicted => `${model.labels[predicted]}: ${row[predicted]}`)
+            .join(', ')
     }
 
-    trainB(args, util) {
-        if (this.globalVideoState === VideoState.OFF) {
-            alert('请先打开摄像头')
+    /**
+     * A scratch command block handle that draws the confusion matrix as a
+     * table, actual labels down and predicted labels across, and dresses
+     * the sprite in it. The model is evaluated leave-one-out first when it
+     * was not evaluated yet; when the samples or labels changed since the
+     * last evaluation the user is asked to evaluate again instead.
+     * @param {object} args - the block arguments
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} resolved once the sprite wears the table.
+     */
+    showConfusionMatrix(args, util) {
+        const target = util.target
+        const model = this._getClassifier()
+        if (!model.evaluation && model.evaluationStale) {
+            alert('训练数据已改变，请重新评估模型')
             return
         }
-        let img = document.createElement('img')
-        img.src = this.runtime.ioDevices.video.getFrame({
-            format: Video.FORMAT_CANVAS,
-            dimensions: Scratch3Knn.DIMENSIONS
-        }).toDataURL("image/png")
-        img.width = 480
-        img.height = 360
-        img.onload = () => {
-            const img0 = tf.fromPixels(img);
-            const logits0 = this.mobilenet.infer(img0, 'conv_preds');
-            this.classifier.addExample(logits0, 1);
-            this.trainTypes[1] = args.STRING
+        const evaluated = model.evaluation ?
+            Promise.resolve() :
+            model.evaluate(0)
+        return evaluated.then(() => {
+            if (!model.evaluation) {
+                return
+            }
+            const confusion = model.evaluation.confusion
+            const classIndices = Object.keys(confusion)
+            if (!classIndices.length) {
+                return
+            }
+            const rows = [['actual \\ predicted'].concat(classIndices.map(classIndex => model.labels[classIndex]))]
+            classIndices.forEach(actual => {
+                rows.push([model.labels[actual]].concat(classIndices.map(predicted => confusion[actual][predicted])))
+            })
+            const canvas = drawTable(rows, (row, column) => {
+                if (row === column) {
+                    return '#c8f0c8'
+                }
+                return confusion[classIndices[row]][classIndices[column]] ? '#f5c6c6' : null
+            })
+            return setCostumeFromImage(this.runtime, target, canvas, 'confusion matrix')
+        })
+    }
+
+    /**
+     * A scratch command block handle that writes the ranked labels and their
+     * confidences into two lists, which are created on the sprite when they
+     * do not exist yet. Created lists are added to the palette straight away.
+     * @param {object} args - the block arguments
+     * @param {string} args.LABELS - the name of the list for the labels
+     * @param {string} args.CONFIDENCES - the name of the list for the
+     *   confidences
+     * @param {object} util - utility object provided by the runtime.
+     */
+    writeRankedResults(args, util) {
+        const ranked = this._getClassifier().getRankedResults()
+        const target = util.target
+        const labelsName = Cast.toString(args.LABELS)
+        const confidencesName = Cast.toString(args.CONFIDENCES)
+        const created = [labelsName, confidencesName].some(name => !target.lookupVariableByNameAndType(name, Variable.LIST_TYPE))
+        const labels = target.lookupOrCreateList(uid(), labelsName)
+        const confidences = target.lookupOrCreateList(uid(), confidencesName)
+        if (created) {
+            // The workspace only learns about variables from a workspace
+            // update, so without one the lists stay hidden until a reload.
+            this.runtime.requestBlocksUpdate()
         }
+        labels.value = ranked.map(item => item.label)
+        labels._monitorUpToDate = false
+        confidences.value = ranked.map(item => item.confidence)
+        confidences._monitorUpToDate = false
     }
 
-    trainC(args, util) {
-        if (this.globalVideoState === VideoState.OFF) {
-            alert('请先打开摄像头')
-            return
+    getLabelAtRank(args, util) {
+        const rank = Math.round(Cast.toNumber(args.RANK))
+        const ranked = this._getClassifier().getRankedResults()
+        if (rank < 1 || rank > ranked.length) {
+            return ''
         }
-        let img = document.createElement('img')
-        img.src = this.runtime.ioDevices.video.getFrame({
-            format: Video.FORMAT_CANVAS,
-            dimensions: Scratch3Knn.DIMENSIONS
-        }).toDataURL("image/png")
-        img.width = 480
-        img.height = 360
-        img.onload = () => {
-            const img0 = tf.fromPixels(img);
-            const logits0 = this.mobilenet.infer(img0, 'conv_preds');
-            this.classifier.addExample(logits0, 2);
-            this.trainTypes[2] = args.STRING
+        return ranked[rank - 1].label
+    }
+
+    whenGetResult(args, util) {
+        const model = this._findClassifier(args.CLASSIFIER)
+        if (!model || model.trainResult === undefined) {
+            return false
         }
+        setTimeout(() => {
+            model.trainResult = undefined
+        }, 100)
+        return args.STRING === model.trainResult
     }
 
-    trainD(args, util) {
-        if (this.globalVideoState === VideoState.OFF) {
-            alert('请先打开摄像头')
+    /**
+     * A scratch command block handle that reloads MobileNet with the chosen
+     * width multiplier. Examples computed with the current model are
+     * meaningless to another one, so switching is refused while there are
+     * any.
+     * @param {object} args - the block arguments
+     * @param {string} args.SIZE - the MobileNet alpha to use
+     * @returns {Promise} resolved once the model is loaded.
+     */
+    useModelSize(args) {
+        const alpha = this._supportedAlpha(Cast.toNumber(args.SIZE), this.version);
+        if (alpha === this.alpha) {
             return
         }
-        let img = document.createElement('img')
-        img.src = this.runtime.ioDevices.video.getFrame({
-            format: Video.FORMAT_CANVAS,
-            dimensions: Scratch3Knn.DIMENSIONS
-        }).toDataURL("image/png")
-        img.width = 480
-        img.height = 360
-        img.onload = () => {
-            const img0 = tf.fromPixels(img);
-            const logits0 = this.mobilenet.infer(img0, 'conv_preds');
-            this.classifier.addExample(logits0, 3);
-            this.trainTypes[3] = args.STRING
-            this.updateExampleCounts(args, util);
+        if (this._hasExamples()) {
+            alert('已有训练数据，请先重置所有类别再切换模型大小')
+            return
         }
+        return this._loadMobilenet(this.version, alpha)
+            .then(() => this._datasetChanged())
+            .catch(() => {});
     }
 
-    trainE(args, util) {
-        if (this.globalVideoState === VideoState.OFF) {
-            alert('请先打开摄像头')
+    /**
+     * A scratch command block handle that reloads the model with another
+     * MobileNet version, keeping the closest model size it supports. Like
+     * the model size, it can only be changed while there are no examples.
+     * @param {object} args - the block arguments
+     * @param {string} args.VERSION - the MobileNet version, 1 or 2
+     * @returns {Promise} resolved once the model is loaded.
+     */
+    useMobilenetVersion(args) {
+        const version = Cast.toNumber(args.VERSION);
+        if (version !== 1 && version !== 2) {
+            alert('不支持的 MobileNet 版本')
             return
         }
-        let img = document.createElement('img')
-        img.src = this.runtime.ioDevices.video.getFrame({
-            format: Video.FORMAT_CANVAS,
-            dimensions: Scratch3Knn.DIMENSIONS
-        }).toDataURL("image/png")
-        img.width = 480
-        img.height = 360
-        img.onload = () => {
-            const img0 = tf.fromPixels(img);
-            const logits0 = this.mobilenet.infer(img0, 'conv_preds');
-            this.classifier.addExample(logits0, 4);
-            this.trainTypes[4] = args.STRING
-            this.updateExampleCounts(args, util);
+        if (version === this.version) {
+            return
+        }
+        if (this._hasExamples()) {
+            alert('已有训练数据，请先重置所有类别再切换 MobileNet 版本')
+            return
         }
+        return this._loadMobilenet(version, this._supportedAlpha(this.alpha, version))
+            .then(() => this._datasetChanged())
+            .catch(() => {});
     }
 
-    trainF(args, util) {
-        if (this.globalVideoState === VideoState.OFF) {
-            alert('请先打开摄像头')
+    /**
+     * A scratch command block handle that chooses the MobileNet layer whose
+     * activations are used as examples. Like the model size, it can only be
+     * changed while there are no examples.
+     * @param {object} args - the block arguments
+     * @param {string} args.LAYER - the MobileNet endpoint name
+     */
+    useFeatureLayer(args) {
+        const endpoint = Cast.toString(args.LAYER);
+        if (endpoint === this.endpoint) {
             return
         }
-        let img = document.createElement('img')
-        img.src = this.runtime.ioDevices.video.getFrame({
-            format: Video.FORMAT_CANVAS,
-            dimensions: Scratch3Knn.DIMENSIONS
-        }).toDataURL("image/png")
-        img.width = 480
-        img.height = 360
-        img.onload = () => {
-            const img0 = tf.fromPixels(img);
-            const logits0 = this.mobilenet.infer(img0, 'conv_preds');
-            this.classifier.addExample(logits0, 5);
-            this.trainTypes[5] = args.STRING
-            this.updateExampleCounts(args, util);
+        if (!this.mobilenet) {
+            alert('模型尚未加载完成')
+            return
         }
-    }
-    Samples(args, util) {
-        let counts = this.classifier.getClassExampleCount();
-        let index = this.trainTypes.indexOf(args.STRING)
-        return counts[index] || 0
-    }
-    Sample1(args, util) {
-        let counts = this.classifier.getClassExampleCount();
-        let index = 0
-        return counts[index] || 0
-    }
-    Sample2(args, util) {
-        let counts = this.classifier.getClassExampleCount();
-        let index = 1
-        return counts[index] || 0
-    }
-    Sample3(args, util) {
-        let counts = this.classifier.getClassExampleCount();
-        let index = 2
-        return counts[index] || 0
-    }
-    resetTrain(args, util) {
-        let counts = this.classifier.getClassExampleCount();
-        let index = this.trainTypes.indexOf(args.STRING)
-        if (!counts[index]) {
-            alert('该类别无训练数据')
+        if (this.mobilenet.endpoints.indexOf(endpoint) === -1) {
+            alert('未找到对应的模型层')
             return
         }
-        if (index < 0) {
-            alert('未找到对应类别')
+        if (this._hasExamples()) {
+            alert('已有训练数据，请先重置所有类别再切换特征层')
             return
         }
-        this.clearClass(index);
-        // this.updateExampleCounts(args, util);
+        this.endpoint = endpoint;
+        this._clearReference();
+        this._datasetChanged();
     }
 
-    getResult(args, util) {
-        return this.trainResult
-    }
-    getConfidence(args, util) {
-        let index = this.trainTypes.indexOf(args.STRING)
-        if (index === -1) {
-            return 0
-        }
-        return (this.trainConfidences && this.trainConfidences[index]) || 0
+    /**
+     * Find the width multiplier closest to `alpha` that a MobileNet version
+     * is available in.
+     * @param {number} alpha - the wanted MobileNet width multiplier.
+     * @param {number} version - the MobileNet version.
+     * @returns {number} the supported width multiplier.
+     * @private
+     */
+    _supportedAlpha(alpha, version) {
+        return mobilenetModule.SUPPORTED_ALPHAS[version].reduce((best, item) => {
+            return Math.abs(item - alpha) < Math.abs(best - alpha) ? item : best
+        })
     }
-    gotResult(args, util) {
-        return new Promise((resolve, reject) => {
-            let img = document.createElement('img')
-            let frame = this.runtime.ioDevices.video.getFrame({
-                format: Video.FORMAT_CANVAS,
-                dimensions: Scratch3Knn.DIMENSIONS
-            })
-            if (!Object.keys(this.classifier.getClassExampleCount()).length) {
-                resolve()
-                return
+
+    /**
+     * Load another MobileNet version or width multiplier. The current model
+     * stays in use until the new one is ready, and the model status and
+     * download progress are updated along the way.
+     * @param {number} version - the MobileNet version.
+     * @param {number} alpha - the MobileNet width multiplier.
+     * @returns {Promise} resolved once the new model is in use.
+     * @private
+     */
+    _loadMobilenet(version, alpha) {
+        // Only the most recent request may replace the model.
+        const request = this._mobilenetRequest = {version, alpha};
+        const modelChanged = version !== this.version || alpha !== this.alpha;
+        this.modelStatus = ModelStatus.LOADING;
+        this.modelError = '';
+        this.modelProgress = 0;
+        const onProgress = fraction => {
+            if (request === this._mobilenetRequest) {
+                this.modelProgress = Math.round(fraction * 100);
             }
-            if (frame) {
-                img.src = frame.toDataURL("image/png")
-            } else {
-                resolve()
-                return
+        };
+        return mobilenetModule.load(version, alpha, this.modelUrl, onProgress).then(mobilenet => {
+            if (request !== this._mobilenetRequest) {
+                mobilenet.dispose();
+                throw new Error('MobileNet loading was superseded by another request.');
             }
-            img.width = 480
-            img.height = 360
-            img.onload = async () => {
-                const x = tf.fromPixels(img);
-                const xlogits = this.mobilenet.infer(x, 'conv_preds');
-                console.log('Predictions:');
-                let res = await this.classifier.predictClass(xlogits);
-                console.log(this.classifier.getClassExampleCount(), res)
-                this.trainResult = this.trainTypes[res.classIndex] || 0
-                this.trainConfidences = res.confidences
-                resolve(this.trainResult)
+            const previous = this.mobilenet;
+            this.mobilenet = mobilenet;
+            this._clearFrameEmbedding();
+            this._clearReference();
+            // Nothing holds on to the old model between frames, so its
+            // weights can go once the new one is in use.
+            if (previous) {
+                previous.dispose();
             }
-        })
+            this.version = version;
+            this.alpha = alpha;
+            this.modelStatus = ModelStatus.READY;
+            if (mobilenet.endpoints.indexOf(this.endpoint) === -1) {
+                this.endpoint = mobilenet.defaultEndpoint;
+            }
+            // Examples trained while the new model was loading came from the
+            // old one and would no longer match, nor would networks trained
+            // on them. Empty classifiers are cleared as well, so their KNN
+            // classifiers accept the new embedding width.
+            if (modelChanged) {
+                const hadExamples = this._hasExamples();
+                Object.keys(this.classifiers).forEach(name => this.classifiers[name].clearAllClasses());
+                if (hadExamples) {
+                    this._datasetChanged();
+                }
+            }
+            if (this._pendingDataset && !this._pendingRestore) {
+                this._restoreSavedDataset(this._pendingDataset);
+            }
+        }, e => {
+            if (request === this._mobilenetRequest) {
+                this.modelStatus = ModelStatus.FAILED;
+                this.modelError = (e && e.message) || String(e);
+            }
+            console.error('failed to load mobilenet:', e);
+            throw e;
+        });
     }
 
-    whenGetResult(args, util) {
-        if (this.trainResult === undefined) {
-            return false
+    /**
+     * Start over with an empty default classifier and load MobileNet.
+     * @param {string|Array.<string>} [modelUrl] - the model.json URL, or an
+     *   ordered list of URLs to fall back through, to load MobileNet from.
+     * @returns {Promise} resolved once MobileNet loaded or failed to load.
+     */
+    knnInit (modelUrl) {
+        if (modelUrl !== undefined) {
+            this.modelUrl = modelUrl;
         }
-        setTimeout(() => {
-            this.trainResult = undefined
-        }, 100)
-        return args.STRING === this.trainResult
-    }
-
-    async knnInit () {
-        this.classifier = knnClassifier.create();
-        this.mobilenet = await mobilenetModule.load();
+        this._resetDataset();
+        return this._loadMobilenet(this.version, this.alpha).catch(() => {});
     }
 }
 
@@ -1081,8 +1081,110 @@
         999: 'toilet tissue, toilet paper, bathroom tissue'
     };
     var BASE_PATH = 'http://storage.codelab.club/tfjs-models/tfjs/';
+    var LOCAL_BASE_PATH = 'knn/';
     var IMAGE_SIZE = 224;
-    function load(version, alpha) {
+    var SUPPORTED_ALPHAS = {
+        1: [0.25, 0.50, 0.75, 1.0],
+        2: [0.35, 0.50, 0.75, 1.0, 1.3, 1.4]
+    };
+    var MULTIPLIER_STRINGS = {
+        0.25: '0.25', 0.35: '0.35', 0.50: '0.50', 0.75: '0.75', 1.0: '1.0', 1.3: '1.3', 1.4: '1.4'
+    };
+    var V1_DEFAULT_ENDPOINT = 'conv_preds';
+    var V2_INPUT_NODE = 'input';
+    var V2_OUTPUT_NODE = 'MobilenetV2/Predictions/Reshape_1';
+    var V2_DEFAULT_ENDPOINT = 'MobilenetV2/Logits/AvgPool';
+    var V2_ENDPOINTS = [
+        'MobilenetV2/expanded_conv_6/output',
+        'MobilenetV2/expanded_conv_13/output',
+        'MobilenetV2/expanded_conv_16/output',
+        'MobilenetV2/Conv_1/Relu6',
+        V2_DEFAULT_ENDPOINT,
+        'MobilenetV2/Logits/Conv2d_1c_1x1/BiasAdd',
+        V2_OUTPUT_NODE
+    ];
+    function getModelUrls(version, alpha) {
+        if (version === void 0) { version = 1; }
+        if (alpha === void 0) { alpha = 1.0; }
+        var multiplierStr = MULTIPLIER_STRINGS[alpha];
+        var modelPath = "mobilenet_v" + version + "_" + multiplierStr + "_" + IMAGE_SIZE + "/" +
+            (version === 1 ? "model.json" : "tensorflowjs_model.pb");
+        return [LOCAL_BASE_PATH + modelPath, BASE_PATH + modelPath];
+    }
+    function getWeightsManifestUrl(modelUrl) {
+        return modelUrl.slice(0, modelUrl.lastIndexOf('/') + 1) + "weights_manifest.json";
+    }
+    function concatenateArrayBuffers(buffers) {
+        var totalByteLength = 0;
+        buffers.forEach(function (buffer) { totalByteLength += buffer.byteLength; });
+        var result = new Uint8Array(totalByteLength);
+        var offset = 0;
+        buffers.forEach(function (buffer) {
+            result.set(new Uint8Array(buffer), offset);
+            offset += buffer.byteLength;
+        });
+        return result.buffer;
+    }
+    function fetchOk(url) {
+        return fetch(url).then(function (response) {
+            if (!response.ok) {
+                throw new Error("Request to " + url + " failed with status " + response.status + ".");
+            }
+            return response;
+        });
+    }
+    function progressHTTPRequest(url, onProgress) {
+        return {
+            load: function () {
+                var prefix = url.slice(0, url.lastIndexOf('/') + 1);
+                return fetchOk(url).then(function (response) { return response.json(); }).then(function (modelConfig) {
+                    var weightSpecs = [];
+                    var paths = [];
+                    (modelConfig.weightsManifest || []).forEach(function (group) {
+                        weightSpecs.push.apply(weightSpecs, group.weights);
+                        group.paths.forEach(function (path) { paths.push(prefix + path); });
+                    });
+                    var loadedShards = 0;
+                    onProgress(0);
+                    return Promise.all(paths.map(function (path) {
+                        return fetchOk(path).then(function (response) { return response.arrayBuffer(); }).then(function (buffer) {
+                            loadedShards++;
+                            onProgress(loadedShards / paths.length);
+                            return buffer;
+                        });
+                    })).then(function (buffers) {
+                        return {
+                            modelTopology: modelConfig.modelTopology,
+                            weightSpecs: weightSpecs,
+                            weightData: concatenateArrayBuffers(buffers)
+                        };
+                    });
+                });
+            }
+        };
+    }
+    function loadFirstAvailable(urls, loadModel) {
+        var errors = [];
+        return urls.reduce(function (previous, url) {
+            return previous.then(function (loaded) {
+                if (loaded) {
+                    return loaded;
+                }
+                return loadModel(url).then(function (model) {
+                    return { model: model, url: url };
+                }, function (e) {
+                    errors.push(url + ": " + (e && e.message));
+                    return null;
+                });
+            });
+        }, Promise.resolve(null)).then(function (loaded) {
+            if (!loaded) {
+                throw new Error("Failed to load MobileNet from any model URL. " + errors.join('; '));
+            }
+            return loaded;
+        });
+    }
+    function load(version, alpha, modelUrl, onProgress) {
         if (version === void 0) { version = 1; }
         if (alpha === void 0) { alpha = 1.0; }
         return __awaiter(this, void 0, void 0, function () {
@@ -1094,15 +1196,15 @@
                             throw new Error("Cannot find TensorFlow.js. If you are using a <script> tag, please " +
                                 "also include @tensorflow/tfjs on the page before using this model.");
                         }
-                        if (version !== 1) {
-                            throw new Error("Currently only MobileNet V1 is supported. Got version " + version + ".");
+                        if (version !== 1 && version !== 2) {
+                            throw new Error("Currently only MobileNet V1 and V2 are supported. Got version " + version + ".");
                         }
-                        if ([0.25, 0.50, 0.75, 1.0].indexOf(alpha) === -1) {
-                            throw new Error("MobileNet constructed with invalid alpha " +
-                                (alpha + ". Valid multipliers are 0.25, 0.50, 0.75, and 1.0."));
+                        if (SUPPORTED_ALPHAS[version].indexOf(alpha) === -1) {
+                            throw new Error("MobileNet V" + version + " constructed with invalid alpha " +
+                                (alpha + ". Valid multipliers are " + SUPPORTED_ALPHAS[version].join(', ') + "."));
                         }
-                        mobilenet = new MobileNet(version, alpha);
-                        return [4, mobilenet.load()];
+                        mobilenet = new MobileNet(version, alpha, modelUrl);
+                        return [4, mobilenet.load(onProgress)];
                     case 1:
                         _a.sent();
                         return [2, mobilenet];
@@ -1111,26 +1213,44 @@
         });
     }
     var MobileNet = (function () {
-        function MobileNet(version, alpha) {
+        function MobileNet(version, alpha, modelUrl) {
+            this.version = version;
             this.intermediateModels = {};
-            var multiplierStr = ({ 0.25: '0.25', 0.50: '0.50', 0.75: '0.75', 1.0: '1.0' })[alpha];
-            this.path =
-                BASE_PATH + "mobilenet_v" + version + "_" + multiplierStr + "_" + IMAGE_SIZE + "/" +
-                    "model.json";
+            this.defaultEndpoint = version === 1 ? V1_DEFAULT_ENDPOINT : V2_DEFAULT_ENDPOINT;
+            this.urls = modelUrl == null ? getModelUrls(version, alpha) : [].concat(modelUrl);
+            this.path = null;
             this.normalizationOffset = tf.scalar(127.5);
         }
-        MobileNet.prototype.load = function () {
+        MobileNet.prototype.load = function (onProgress) {
             return __awaiter(this, void 0, void 0, function () {
-                var _a, result;
+                var loaded, result;
                 var _this = this;
                 return __generator(this, function (_b) {
                     switch (_b.label) {
                         case 0:
-                            _a = this;
-                            return [4, tf.loadModel(this.path)];
+                            if (this.version === 1) {
+                                return [4, loadFirstAvailable(this.urls, function (url) {
+                                        return tf.loadModel(onProgress ? progressHTTPRequest(url, onProgress) : url);
+                                    })];
+                            }
+                            // loadFrozenModel fetches the weights itself and does
+                            // not report progress, so V2 only reports 0 and 1.
+                            if (onProgress) {
+                                onProgress(0);
+                            }
+                            return [4, loadFirstAvailable(this.urls, function (url) {
+                                    return tf.loadFrozenModel(url, getWeightsManifestUrl(url));
+                                })];
                         case 1:
-                            _a.model = _b.sent();
-                            this.endpoints = this.model.layers.map(function (l) { return l.name; });
+                            loaded = _b.sent();
+                            if (onProgress) {
+                                onProgress(1);
+                            }
+                            this.model = loaded.model;
+                            this.path = loaded.url;
+                            this.endpoints = this.version === 1 ?
+                                this.model.layers.map(function (l) { return l.name; }) :
+                                V2_ENDPOINTS.slice();
                             result = tf.tidy(function () { return _this.model.predict(tf.zeros([1, IMAGE_SIZE, IMAGE_SIZE, 3])); });
                             return [4, result.data()];
                         case 2:
@@ -1142,6 +1262,7 @@
             });
         };
         MobileNet.prototype.infer = function (img, endpoint) {
+            var _a, _b;
             var _this = this;
             if (endpoint != null && this.endpoints.indexOf(endpoint) === -1) {
                 throw new Error("Unknown endpoint " + endpoint + ". Available endpoints: " +
@@ -1160,6 +1281,13 @@
                     resized = tf.image.resizeBilinear(normalized, [IMAGE_SIZE, IMAGE_SIZE], alignCorners);
                 }
                 var batched = resized.reshape([1, IMAGE_SIZE, IMAGE_SIZE, 3]);
+                if (_this.version === 2) {
+                    if (endpoint == null) {
+                        var predictions = _this.model.execute((_a = {}, _a[V2_INPUT_NODE] = batched, _a), V2_OUTPUT_NODE);
+                        return predictions.slice([0, 1], [-1, 1000]);
+                    }
+                    return _this.model.execute((_b = {}, _b[V2_INPUT_NODE] = batched, _b), endpoint);
+                }
                 var model;
                 if (endpoint == null) {
                     model = _this.model;
@@ -1175,6 +1303,18 @@
                 return model.predict(batched);
             });
         };
+        MobileNet.prototype.dispose = function () {
+            var _this = this;
+            Object.keys(this.intermediateModels).forEach(function (endpoint) {
+                _this.intermediateModels[endpoint].dispose();
+            });
+            this.intermediateModels = {};
+            if (this.model != null) {
+                this.model.dispose();
+                this.model = null;
+            }
+            this.normalizationOffset.dispose();
+        };
         MobileNet.prototype.classify = function (img, topk) {
             if (topk === void 0) { topk = 3; }
             return __awaiter(this, void 0, void 0, function () {
@@ -1229,6 +1369,9 @@
     }
 
     exports.load = load;
+    exports.getModelUrls = getModelUrls;
+    exports.SUPPORTED_ALPHAS = SUPPORTED_ALPHAS;
+    exports.IMAGENET_CLASSES = IMAGENET_CLASSES;
     exports.MobileNet = MobileNet;
 
     Object.defineProperty(exports, '__esModule', { value: true });
@@ -0,0 +1,1054 @@
+import * as tf from '@tensorflow/tfjs';
+import * as knnClassifier from '@tensorflow-models/knn-classifier';
+import TransferHead from './transfer-head.js';
+import {DistanceMetric, toSimilarityScore, findNeighbours, vote} from './neighbours.js';
+import {crossValidate} from './evaluation.js';
+
+/**
+ * Ways a classifier can classify an embedding.
+ * @readonly
+ * @enum {string}
+ */
+const ClassifierMode = {
+    /** Vote among the nearest stored examples. */
+    KNN: 'knn',
+
+    /** A small neural network trained on the stored examples. */
+    NETWORK: 'network'
+};
+
+/**
+ * How the nearest neighbours vote for a class.
+ * @readonly
+ * @enum {string}
+ */
+const VotingMode = {
+    /** Every neighbour has one vote. */
+    MAJORITY: 'majority',
+
+    /** Nearer neighbours count more. */
+    WEIGHTED: 'weighted'
+};
+
+/**
+ * How predictions are smoothed over the last frames.
+ * @readonly
+ * @enum {string}
+ */
+const SmoothingMode = {
+    /** Report every prediction as it is. */
+    OFF: 'off',
+
+    /** Report the label predicted most often. */
+    MAJORITY: 'majority',
+
+    /** Report the label with the highest average confidence. */
+    AVERAGE: 'average'
+};
+
+/**
+ * Which example makes room when a class is full.
+ * @readonly
+ * @enum {string}
+ */
+const EvictionPolicy = {
+    /** The example added first. */
+    OLDEST: 'oldest',
+
+    /**
+     * A random one, by reservoir sampling: every example ever offered to
+     * the class has the same chance to be kept.
+     */
+    RESERVOIR: 'reservoir'
+};
+
+/**
+ * How the distances to the examples of a label are combined into a
+ * similarity.
+ * @readonly
+ * @enum {string}
+ */
+const SimilarityMode = {
+    /** The average distance to all examples. */
+    MEAN: 'mean',
+
+    /** The distance to the closest example. */
+    NEAREST: 'nearest'
+};
+
+/**
+ * How many trainings `undo` can take back.
+ * @type {number}
+ */
+const UNDO_LIMIT = 100;
+
+/**
+ * A KNN classifier with its own labels, examples, settings and prediction
+ * history, so a project can recognise several unrelated things, e.g. hand
+ * poses and faces. All classifiers share the MobileNet embeddings.
+ */
+class NamedClassifier {
+    constructor() {
+        /**
+         * The KNN classifier holding the examples.
+         * @type {KNNClassifier}
+         */
+        this.classifier = knnClassifier.create();
+
+        /**
+         * The name of every class index, null where a label was deleted.
+         * Class indices are handed out by `addLabel`, so blocks only deal
+         * with names.
+         * @type {Array.<?string>}
+         */
+        this.labels = [];
+
+        /**
+         * The length every example had before the classifier normalized it,
+         * by class index, so Euclidean distances can be computed.
+         * @type {Object.<string, Array.<number>>}
+         */
+        this.exampleNorms = {};
+
+        /**
+         * An id for every example, by class index in the order of the
+         * classifier's rows, so examples can be found again after others
+         * were removed.
+         * @type {Object.<string, Array.<number>>}
+         */
+        this.exampleIds = {};
+        this._nextExampleId = 0;
+
+        /**
+         * A thumbnail data URL of every example, by class index in the order
+         * of the classifier's rows, null where there is none.
+         * @type {Object.<string, Array.<?string>>}
+         */
+        this.exampleThumbnails = {};
+
+        /**
+         * The group of every example, by class index in the order of the
+         * classifier's rows. A captured frame and its augmented variants
+         * share the id of the frame, so evaluation can keep them together.
+         * @type {Object.<string, Array.<number>>}
+         */
+        this.exampleGroups = {};
+
+        /**
+         * The ids of the examples added by every training, oldest first.
+         * @type {Array.<{classIndex: number, ids: Array.<number>}>}
+         */
+        this._history = [];
+
+        /**
+         * How many captures were ever offered to every class index, for
+         * reservoir sampling.
+         * @type {Object.<string, number>}
+         */
+        this._seenCounts = {};
+
+        /**
+         * The network trained on the examples for ClassifierMode.NETWORK.
+         * @type {TransferHead}
+         */
+        this.transferHead = new TransferHead();
+
+        /**
+         * Percentage of epochs done by the running or last network training.
+         * @type {number}
+         */
+        this.trainingProgress = 0;
+
+        /**
+         * The running network training, null when there is none.
+         * @type {?Promise}
+         */
+        this._networkTraining = null;
+
+        /**
+         * Counts the changes to the examples, so a training that finishes
+         * after one can tell its network is stale.
+         * @type {number}
+         */
+        this._examplesVersion = 0;
+
+        /**
+         * The result of the last evaluation, null before it ran and after
+         * the examples or labels changed.
+         * @type {?object}
+         */
+        this.evaluation = null;
+
+        /**
+         * Whether an evaluation was dropped because the examples or labels
+         * changed since, so it has to be run again.
+         * @type {boolean}
+         */
+        this.evaluationStale = false;
+
+        /**
+         * The label reported by the last prediction.
+         * @type {string|undefined}
+         */
+        this.trainResult = undefined;
+
+        /**
+         * The confidence of every class index in the last prediction.
+         * @type {object|undefined}
+         */
+        this.trainConfidences = undefined;
+
+        this.applySettings({});
+    }
+
+    /**
+     * The settings of a new classifier. They are saved with the dataset.
+     * @type {object}
+     */
+    static get DEFAULT_SETTINGS() {
+        return {
+            k: 3,
+            votingMode: VotingMode.MAJORITY,
+            distanceMetric: DistanceMetric.COSINE,
+            rejectDistance: 0,
+            rejectConfidence: 0,
+            unknownLabel: 'unknown',
+            smoothingMode: SmoothingMode.OFF,
+            smoothingWindow: 5,
+            hysteresis: 1,
+            maxExamples: 0,
+            evictionPolicy: EvictionPolicy.OLDEST,
+            classifierMode: ClassifierMode.KNN,
+            trainingEpochs: 20,
+            learningRate: 0.001
+        };
+    }
+
+    /**
+     * Add an example to a class, remembering its length, thumbnail and group.
+     * @param {tf.Tensor} logits - the MobileNet embedding of the example.
+     * @param {number} classIndex - the class index to add the example to.
+     * @param {?string} [thumbnail] - a small image of the example.
+     * @param {?number} [group] - the id of the frame the example was made
+     *   from. Without one the example is a group of its own.
+     * @returns {number} the id of the example.
+     */
+    addExample(logits, classIndex, thumbnail = null, group = null) {
+        this.classifier.addExample(logits, classIndex);
+        // Examples restored without their lengths count as unit length.
+        const norms = this.exampleNorms[classIndex] || [];
+        const count = this.classifier.getClassExampleCount()[classIndex];
+        while (norms.length < count - 1) {
+            norms.push(1);
+        }
+        const norm = logits.norm();
+        norms.push(norm.dataSync()[0]);
+        norm.dispose();
+        this.exampleNorms[classIndex] = norms;
+        const ids = this.exampleIds[classIndex] || [];
+        while (ids.length < count - 1) {
+            ids.push(this._nextExampleId++);
+        }
+        const id = this._nextExampleId++;
+        ids.push(id);
+        this.exampleIds[classIndex] = ids;
+        const thumbnails = this.exampleThumbnails[classIndex] || [];
+        while (thumbnails.length < count - 1) {
+            thumbnails.push(null);
+        }
+        thumbnails.push(thumbnail);
+        this.exampleThumbnails[classIndex] = thumbnails;
+        const groups = this.exampleGroups[classIndex] || [];
+        while (groups.length < count - 1) {
+            groups.push(ids[groups.length]);
+        }
+        groups.push(group === null ? id : group);
+        this.exampleGroups[classIndex] = groups;
+        this._examplesChanged();
+        return id;
+    }
+
+    /**
+     * Add the examples of one training to a class as one step `undo` can
+     * take back and one group for evaluation. When the class is full,
+     * examples are evicted by the eviction policy to make room for all of
+     * them. Reservoir sampling treats the captured frame and its variants as
+     * one item: it keeps or turns away all of them, and counts them once.
+     * @param {Array.<tf.Tensor>} logits - the MobileNet embeddings, the
+     *   captured frame first.
+     * @param {number} classIndex - the class index to add the examples to.
+     * @param {Array.<?string>} [thumbnails] - a small image of every example.
+     */
+    addExamples(logits, classIndex, thumbnails = []) {
+        // A capture with more variants than the limit keeps the frame and
+        // its first variants.
+        const added = this.maxExamples > 0 ? logits.slice(0, this.maxExamples) : logits;
+        if (!added.length) {
+            return;
+        }
+        const count = this.getClassExampleCount()[classIndex] || 0;
+        const groupCount = new Set(this.exampleGroups[classIndex] || []).size;
+        const seen = (this._seenCounts[classIndex] || groupCount) + 1;
+        if (this.maxExamples > 0 && count + added.length > this.maxExamples) {
+            // Every capture ever offered has the same chance to be held.
+            if (this.evictionPolicy === EvictionPolicy.RESERVOIR && Math.floor(Math.random() * seen) >= groupCount) {
+                this._seenCounts[classIndex] = seen;
+                return;
+            }
+            this._trimClass(classIndex, this.maxExamples - added.length);
+        }
+        // Set after trimming, as clearing the class forgets the count.
+        this._seenCounts[classIndex] = seen;
+        const ids = [];
+        added.forEach((item, i) => {
+            ids.push(this.addExample(item, classIndex, thumbnails[i], ids.length ? ids[0] : null));
+        });
+        if (ids.length) {
+            this._history.push({classIndex, ids});
+            if (this._history.length > UNDO_LIMIT) {
+                this._history.shift();
+            }
+        }
+    }
+
+    /**
+     * Remove the examples the last training added that are still there.
+     * Trainings whose examples were all evicted or removed are skipped.
+     * @returns {boolean} true when examples were removed.
+     */
+    undo() {
+        while (this._history.length) {
+            const {classIndex, ids} = this._history.pop();
+            const classIds = this.exampleIds[classIndex] || [];
+            const rows = ids.map(id => classIds.indexOf(id)).filter(row => row !== -1);
+            if (rows.length) {
+                this._removeRows(classIndex, rows);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Remove one example of a class.
+     * @param {number} classIndex - the class index.
+     * @param {number} row - the position of the example in its class,
+     *   starting at 0.
+     * @returns {boolean} true when there was such an example.
+     */
+    removeExample(classIndex, row) {
+        const count = this.getClassExampleCount()[classIndex] || 0;
+        if (row < 0 || row >= count) {
+            return false;
+        }
+        this._removeRows(classIndex, [row]);
+        return true;
+    }
+
+    /**
+     * Set the largest number of examples a class may have and which example
+     * makes room, evicting examples from classes that have more.
+     * @param {number} maxExamples - the largest number of examples, 0 for no
+     *   limit.
+     * @param {EvictionPolicy} evictionPolicy - which example makes room.
+     */
+    setExampleLimit(maxExamples, evictionPolicy) {
+        this.maxExamples = maxExamples;
+        this.evictionPolicy = evictionPolicy;
+        if (maxExamples > 0) {
+            Object.keys(this.getClassExampleCount()).forEach(classIndex => {
+                this._trimClass(Number(classIndex), maxExamples);
+            });
+        }
+    }
+
+    /**
+     * Evict examples of a class by the eviction policy until it has at most
+     * `limit` of them.
+     * @param {number} classIndex - the class index.
+     * @param {number} limit - the number of examples to keep.
+     * @private
+     */
+    _trimClass(classIndex, limit) {
+        const count = this.getClassExampleCount()[classIndex] || 0;
+        if (count <= limit) {
+            return;
+        }
+        let rows = [];
+        for (let i = 0; i < count; i++) {
+            rows.push(i);
+        }
+        if (this.evictionPolicy === EvictionPolicy.RESERVOIR) {
+            // Keep a random subset, as if they had been sampled.
+            for (let i = rows.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [rows[i], rows[j]] = [rows[j], rows[i]];
+            }
+        }
+        rows = rows.slice(0, count - limit);
+        this._removeRows(classIndex, rows);
+    }
+
+    /**
+     * Remove examples of a class. The KNN classifier can only add examples,
+     * so the class matrix is rebuilt without them.
+     * @param {number} classIndex - the class index.
+     * @param {Array.<number>} rows - the positions of the examples in their
+     *   class.
+     * @private
+     */
+    _removeRows(classIndex, rows) {
+        const count = this.getClassExampleCount()[classIndex] || 0;
+        const keep = [];
+        for (let i = 0; i < count; i++) {
+            if (rows.indexOf(i) === -1) {
+                keep.push(i);
+            }
+        }
+        if (keep.length === count) {
+            return;
+        }
+        if (!keep.length) {
+            this.clearClass(classIndex);
+            return;
+        }
+        const dataset = this.classifier.getClassifierDataset();
+        const matrix = dataset[classIndex];
+        const kept = tf.tidy(() => matrix.gather(tf.tensor1d(keep, 'int32')));
+        const next = Object.assign({}, dataset, {[classIndex]: kept});
+        matrix.dispose();
+        this.classifier.setClassifierDataset(next);
+        if (this.exampleNorms[classIndex]) {
+            this.exampleNorms[classIndex] = keep.map(row => this.exampleNorms[classIndex][row]);
+        }
+        if (this.exampleIds[classIndex]) {
+            this.exampleIds[classIndex] = keep.map(row => this.exampleIds[classIndex][row]);
+        }
+        if (this.exampleThumbnails[classIndex]) {
+            this.exampleThumbnails[classIndex] = keep.map(row => this.exampleThumbnails[classIndex][row]);
+        }
+        if (this.exampleGroups[classIndex]) {
+            this.exampleGroups[classIndex] = keep.map(row => this.exampleGroups[classIndex][row]);
+        }
+        this._examplesChanged();
+    }
+
+    /**
+     * Forget what was learned from the examples after they changed. The
+     * network was trained on the old examples, so predictions fall back to
+     * KNN until it is trained again.
+     * @private
+     */
+    _examplesChanged() {
+        this._examplesVersion++;
+        this.transferHead.dispose();
+        this._dropEvaluation();
+    }
+
+    /**
+     * Forget the evaluation, which no longer describes the examples or
+     * labels.
+     * @private
+     */
+    _dropEvaluation() {
+        if (this.evaluation) {
+            this.evaluation = null;
+            this.evaluationStale = true;
+        }
+    }
+
+    /**
+     * The thumbnail of an example.
+     * @param {number} classIndex - the class index.
+     * @param {number} row - the position of the example in its class,
+     *   starting at 0.
+     * @returns {?string} the thumbnail data URL, null when the example has
+     *   none or does not exist.
+     */
+    getThumbnail(classIndex, row) {
+        const thumbnails = this.exampleThumbnails[classIndex] || [];
+        return thumbnails[row] || null;
+    }
+
+    /**
+     * Give every example of every class a new id, e.g. after restoring.
+     * Saved groups become the id of their first example, so they can not
+     * clash with the ids of new examples; examples without a saved group
+     * become a group of their own.
+     * @param {Object.<string, Array.<number>>} [groups] - the saved group of
+     *   every example, by class index.
+     * @private
+     */
+    _assignExampleIds(groups = {}) {
+        this.exampleIds = {};
+        this.exampleGroups = {};
+        const counts = this.getClassExampleCount();
+        Object.keys(counts).forEach(classIndex => {
+            const ids = [];
+            const firstIds = {};
+            this.exampleGroups[classIndex] = [];
+            for (let i = 0; i < counts[classIndex]; i++) {
+                const id = this._nextExampleId++;
+                ids.push(id);
+                if (!groups[classIndex]) {
+                    this.exampleGroups[classIndex].push(id);
+                    continue;
+                }
+                const group = groups[classIndex][i];
+                if (!(group in firstIds)) {
+                    firstIds[group] = id;
+                }
+                this.exampleGroups[classIndex].push(firstIds[group]);
+            }
+            this.exampleIds[classIndex] = ids;
+        });
+    }
+
+    /**
+     * Remove the examples of a class.
+     * @param {number} classIndex - the class index.
+     */
+    clearClass(classIndex) {
+        this.classifier.clearClass(classIndex);
+        if (!this.classifier.getNumClasses()) {
+            this._replaceClassifier();
+        }
+        delete this.exampleNorms[classIndex];
+        delete this.exampleIds[classIndex];
+        delete this.exampleThumbnails[classIndex];
+        delete this.exampleGroups[classIndex];
+        delete this._seenCounts[classIndex];
+        this._examplesChanged();
+    }
+
+    /**
+     * Remove the examples of every class.
+     */
+    clearAllClasses() {
+        this._replaceClassifier();
+        this.exampleNorms = {};
+        this.exampleIds = {};
+        this.exampleThumbnails = {};
+        this.exampleGroups = {};
+        this._history = [];
+        this._seenCounts = {};
+        this._examplesChanged();
+    }
+
+    /**
+     * Swap the KNN classifier for an empty one. It keeps the shape of the
+     * first example it was given even once its classes are cleared, and would
+     * refuse the examples of another MobileNet model or layer.
+     * @private
+     */
+    _replaceClassifier() {
+        this.classifier.dispose();
+        this.classifier = knnClassifier.create();
+    }
+
+    /**
+     * @returns {Object.<string, number>} the number of examples of every
+     *   class index that has any.
+     */
+    getClassExampleCount() {
+        return this.classifier.getClassExampleCount();
+    }
+
+    /**
+     * Whether any class has examples.
+     * @returns {boolean} true when there are examples.
+     */
+    hasExamples() {
+        return Object.keys(this.getClassExampleCount()).length > 0;
+    }
+
+    /**
+     * The class index of a label.
+     * @param {string} label - the label name.
+     * @returns {number} the class index, -1 for an unknown label.
+     */
+    classIndexOf(label) {
+        return this.labels.indexOf(label);
+    }
+
+    /**
+     * The class index of a label, handing out a free one to a new label.
+     * @param {string} label - the label name.
+     * @returns {number} the class index, -1 for an empty name.
+     */
+    addLabel(label) {
+        if (!label) {
+            return -1;
+        }
+        let index = this.labels.indexOf(label);
+        if (index === -1) {
+            index = this.labels.indexOf(null);
+            if (index === -1) {
+                index = this.labels.length;
+            }
+            this.labels[index] = label;
+        }
+        return index;
+    }
+
+    /**
+     * Give a class another name. Its examples stay with it.
+     * @param {number} classIndex - the class index.
+     * @param {string} label - the new label name.
+     */
+    renameLabel(classIndex, label) {
+        this.labels[classIndex] = label;
+        this.resetSmoothing();
+    }
+
+    /**
+     * Remove a label and the examples of its class. The class index is handed
+     * out to the next new label.
+     * @param {number} classIndex - the class index.
+     */
+    deleteLabel(classIndex) {
+        if (this.getClassExampleCount()[classIndex]) {
+            this.clearClass(classIndex);
+        }
+        this.labels[classIndex] = null;
+        while (this.labels.length && this.labels[this.labels.length - 1] === null) {
+            this.labels.pop();
+        }
+        // The network was trained with the label as one of its outputs.
+        this.transferHead.dispose();
+        this._dropEvaluation();
+        this.resetSmoothing();
+    }
+
+    /**
+     * @returns {object} the classifier settings saved with the dataset.
+     */
+    getSettings() {
+        return {
+            k: this.k,
+            votingMode: this.votingMode,
+            distanceMetric: this.distanceMetric,
+            rejectDistance: this.rejectDistance,
+            rejectConfidence: this.rejectConfidence,
+            unknownLabel: this.unknownLabel,
+            smoothingMode: this.smoothingMode,
+            smoothingWindow: this.smoothingWindow,
+            hysteresis: this.hysteresis,
+            maxExamples: this.maxExamples,
+            evictionPolicy: this.evictionPolicy,
+            classifierMode: this.classifierMode,
+            trainingEpochs: this.trainingEpochs,
+            learningRate: this.learningRate
+        };
+    }
+
+    /**
+     * Use classifier settings saved with a dataset. Settings that are missing
+     * or invalid fall back to their defaults.
+     * @param {object} settings - the saved classifier settings.
+     */
+    applySettings(settings) {
+        const defaults = NamedClassifier.DEFAULT_SETTINGS;
+        /**
+         * How many nearest neighbours vote for a class.
+         * @type {number}
+         */
+        this.k = settings.k >= 1 ? Math.round(settings.k) : defaults.k;
+        /**
+         * How the nearest neighbours vote for a class.
+         * @type {VotingMode}
+         */
+        this.votingMode = settings.votingMode === VotingMode.WEIGHTED ?
+            VotingMode.WEIGHTED :
+            defaults.votingMode;
+        /**
+         * How embeddings are compared with the stored examples.
+         * @type {DistanceMetric}
+         */
+        this.distanceMetric = settings.distanceMetric === DistanceMetric.EUCLIDEAN ?
+            DistanceMetric.EUCLIDEAN :
+            defaults.distanceMetric;
+        /**
+         * The result is unknown when the nearest example is further away than
+         * this distance. 0 turns the check off.
+         * @type {number}
+         */
+        this.rejectDistance = settings.rejectDistance > 0 ? settings.rejectDistance : defaults.rejectDistance;
+        /**
+         * The result is unknown when the winning label's confidence is below
+         * this value between 0 and 1. 0 turns the check off.
+         * @type {number}
+         */
+        this.rejectConfidence = settings.rejectConfidence > 0 ? settings.rejectConfidence : defaults.rejectConfidence;
+        /**
+         * The result reported when nothing matches well enough.
+         * @type {string}
+         */
+        this.unknownLabel = typeof settings.unknownLabel === 'string' ?
+            settings.unknownLabel :
+            defaults.unknownLabel;
+        /**
+         * How predictions are smoothed over the last `smoothingWindow` ones.
+         * @type {SmoothingMode}
+         */
+        this.smoothingMode = [SmoothingMode.MAJORITY, SmoothingMode.AVERAGE].indexOf(settings.smoothingMode) === -1 ?
+            defaults.smoothingMode :
+            settings.smoothingMode;
+        this.smoothingWindow = settings.smoothingWindow >= 1 ?
+            Math.round(settings.smoothingWindow) :
+            defaults.smoothingWindow;
+        /**
+         * How many predictions in a row a new label needs before it is
+         * reported. 1 reports it straight away.
+         * @type {number}
+         */
+        this.hysteresis = settings.hysteresis >= 1 ? Math.round(settings.hysteresis) : defaults.hysteresis;
+        /**
+         * The largest number of examples a class may have, 0 for no limit.
+         * @type {number}
+         */
+        this.maxExamples = settings.maxExamples >= 1 ? Math.round(settings.maxExamples) : defaults.maxExamples;
+        /**
+         * Which example makes room when a class is full.
+         * @type {EvictionPolicy}
+         */
+        this.evictionPolicy = settings.evictionPolicy === EvictionPolicy.RESERVOIR ?
+            EvictionPolicy.RESERVOIR :
+            defaults.evictionPolicy;
+        /**
+         * Whether embeddings are classified by KNN or by the trained network.
+         * The network itself is not saved, so it has to be trained again.
+         * @type {ClassifierMode}
+         */
+        this.classifierMode = settings.classifierMode === ClassifierMode.NETWORK ?
+            ClassifierMode.NETWORK :
+            defaults.classifierMode;
+        /**
+         * How many epochs the network is trained for.
+         * @type {number}
+         */
+        this.trainingEpochs = settings.trainingEpochs >= 1 ?
+            Math.round(settings.trainingEpochs) :
+            defaults.trainingEpochs;
+        /**
+         * The learning rate of the network training.
+         * @type {number}
+         */
+        this.learningRate = settings.learningRate > 0 ? settings.learningRate : defaults.learningRate;
+        this.resetSmoothing();
+    }
+
+    /**
+     * Replace the examples, label names and settings with deserialized ones.
+     * @param {object} data - one classifier as returned by
+     *   `deserializeDataset`.
+     */
+    restore({labels, settings, norms, thumbnails = {}, groups = {}, dataset}) {
+        // Classes trained without a name get the one they had by default.
+        Object.keys(dataset).forEach(classIndex => {
+            if (labels[classIndex] == null) {
+                labels[classIndex] = `label${Number(classIndex) + 1}`;
+            }
+        });
+        this.labels = Array.from(labels, label => (label === undefined ? null : label));
+        this.clearAllClasses();
+        this.classifier.setClassifierDataset(dataset);
+        this.exampleNorms = norms;
+        this.exampleThumbnails = thumbnails;
+        this._assignExampleIds(groups);
+        this.transferHead.dispose();
+        this.evaluation = null;
+        this.evaluationStale = false;
+        this.applySettings(settings);
+    }
+
+    /**
+     * Remove all examples and labels and go back to the default settings.
+     */
+    reset() {
+        this.clearAllClasses();
+        this.transferHead.dispose();
+        this.evaluation = null;
+        this.evaluationStale = false;
+        this.applySettings({});
+        this.labels = [];
+    }
+
+    /**
+     * Free the examples and the trained network.
+     */
+    dispose() {
+        this.clearAllClasses();
+        this.transferHead.dispose();
+    }
+
+    /**
+     * Classify an embedding with the KNN classifier, or with the trained
+     * network when that mode is chosen and a network was trained. KNN votes
+     * among the `k` nearest examples by the chosen distance metric, weighted
+     * by distance when that voting mode is chosen.
+     * @param {tf.Tensor} logits - the MobileNet embedding to classify.
+     * @returns {Promise.<{classIndex: number, confidences: object}>} the
+     *   most likely class index and the confidence of every class index.
+     */
+    predict(logits) {
+        if (this.classifierMode === ClassifierMode.NETWORK && this.transferHead.isTrained()) {
+            return this.transferHead.predict(logits);
+        }
+        const counts = this.getClassExampleCount();
+        const exampleCount = Object.keys(counts).reduce((total, classIndex) => total + counts[classIndex], 0);
+        const k = Math.min(this.k, exampleCount);
+        // The classifier itself only does majority voting on cosine distance.
+        if (this.votingMode === VotingMode.WEIGHTED || this.distanceMetric !== DistanceMetric.COSINE) {
+            const dataset = this.classifier.getClassifierDataset();
+            return findNeighbours(dataset, logits, k, this.distanceMetric, this.exampleNorms).then(neighbours => {
+                return vote(neighbours, Object.keys(counts), this.votingMode === VotingMode.WEIGHTED);
+            });
+        }
+        return this.classifier.predictClass(logits, k);
+    }
+
+    /**
+     * Whether a prediction matches the examples too badly to report its
+     * label, by the distance to the nearest example or by its confidence.
+     * @param {tf.Tensor} logits - the MobileNet embedding that was classified.
+     * @param {{classIndex: number, confidences: object}} res - the prediction.
+     * @returns {Promise.<boolean>} true when the result should be unknown.
+     */
+    isUnknown(logits, res) {
+        if (this.rejectConfidence > 0 && (res.confidences[res.classIndex] || 0) < this.rejectConfidence) {
+            return Promise.resolve(true);
+        }
+        if (!(this.rejectDistance > 0)) {
+            return Promise.resolve(false);
+        }
+        const dataset = this.classifier.getClassifierDataset();
+        return findNeighbours(dataset, logits, 1, this.distanceMetric, this.exampleNorms).then(neighbours => {
+            return !neighbours.length || neighbours[0].distance > this.rejectDistance;
+        });
+    }
+
+    /**
+     * Find the stored example closest to an embedding by the distance
+     * metric.
+     * @param {tf.Tensor} logits - the MobileNet embedding to compare.
+     * @returns {Promise.<?{classIndex: number, index: number, distance: number}>}
+     *   the class index, position within the class and distance of the
+     *   nearest example, null when there are no examples.
+     */
+    findNearest(logits) {
+        const dataset = this.classifier.getClassifierDataset();
+        return findNeighbours(dataset, logits, 1, this.distanceMetric, this.exampleNorms).then(neighbours => {
+            return neighbours[0] || null;
+        });
+    }
+
+    /**
+     * Score how similar an embedding is to the examples of a class. Scores
+     * use the cosine distance whatever the distance metric, since only it
+     * has a fixed range.
+     * @param {tf.Tensor} logits - the MobileNet embedding to compare.
+     * @param {number} classIndex - the class index.
+     * @param {SimilarityMode} mode - how the distances are combined.
+     * @returns {Promise.<number>} the score between 0 and 100, 0 when the
+     *   class has no examples.
+     */
+    similarity(logits, classIndex, mode) {
+        const matrix = this.classifier.getClassifierDataset()[classIndex];
+        if (!matrix) {
+            return Promise.resolve(0);
+        }
+        return findNeighbours({[classIndex]: matrix}, logits, matrix.shape[0]).then(neighbours => {
+            const distance = mode === SimilarityMode.NEAREST ?
+                neighbours[0].distance :
+                neighbours.reduce((total, {distance: item}) => total + item, 0) / neighbours.length;
+            return toSimilarityScore(distance);
+        });
+    }
+
+    /**
+     * Classify an embedding and remember the smoothed result as
+     * `trainResult` and `trainConfidences`.
+     * @param {tf.Tensor} logits - the MobileNet embedding to classify.
+     * @returns {Promise.<string>} the label to report.
+     */
+    classify(logits) {
+        let res;
+        return this.predict(logits)
+            .then(prediction => {
+                res = prediction;
+                return this.isUnknown(logits, res);
+            })
+            .then(unknown => {
+                const label = unknown ? this.unknownLabel : (this.labels[res.classIndex] || 0);
+                const smoothed = this.smoothResult(label, res.confidences);
+                this.trainResult = smoothed.label;
+                this.trainConfidences = smoothed.confidences;
+                return this.trainResult;
+            });
+    }
+
+    /**
+     * Forget the predictions kept for smoothing.
+     */
+    resetSmoothing() {
+        /**
+         * The most recent predictions, oldest first, for smoothing.
+         * @type {Array.<{label: string, confidences: object}>}
+         */
+        this._resultHistory = [];
+        this._stableLabel = null;
+        this._pendingLabel = null;
+        this._pendingCount = 0;
+    }
+
+    /**
+     * Combine a prediction with the previous ones by the smoothing mode, and
+     * only let the label change once the new one was predicted `hysteresis`
+     * times in a row.
+     * @param {string} label - the predicted label.
+     * @param {object} confidences - the confidence of every class index.
+     * @returns {{label: string, confidences: object}} the result to report.
+     */
+    smoothResult(label, confidences) {
+        this._resultHistory.push({label, confidences});
+        while (this._resultHistory.length > this.smoothingWindow) {
+            this._resultHistory.shift();
+        }
+        let candidate = {label, confidences};
+        if (this.smoothingMode !== SmoothingMode.OFF) {
+            const history = this._resultHistory;
+            const averaged = {};
+            history.forEach(item => {
+                Object.keys(item.confidences).forEach(classIndex => {
+                    averaged[classIndex] = (averaged[classIndex] || 0) + (item.confidences[classIndex] / history.length);
+                });
+            });
+            const votes = {};
+            history.forEach(item => {
+                votes[item.label] = (votes[item.label] || 0) + 1;
+            });
+            let smoothedLabel;
+            if (this.smoothingMode === SmoothingMode.MAJORITY) {
+                smoothedLabel = Object.keys(votes).reduce((best, item) => (votes[item] > votes[best] ? item : best));
+            } else if ((votes[this.unknownLabel] || 0) * 2 > history.length) {
+                // Rejection can not be averaged, so unknown wins when most
+                // of the recent predictions were unknown.
+                smoothedLabel = this.unknownLabel;
+            } else {
+                const best = Object.keys(averaged).reduce((a, b) => (averaged[b] > averaged[a] ? b : a), Object.keys(averaged)[0]);
+                smoothedLabel = best === undefined ? label : this.labels[best];
+            }
+            candidate = {label: smoothedLabel, confidences: averaged};
+        }
+        if (this._stableLabel === null || this.hysteresis <= 1 || candidate.label === this._stableLabel) {
+            this._stableLabel = candidate.label;
+            this._pendingLabel = null;
+            this._pendingCount = 0;
+        } else {
+            if (candidate.label === this._pendingLabel) {
+                this._pendingCount++;
+            } else {
+                this._pendingLabel = candidate.label;
+                this._pendingCount = 1;
+            }
+            if (this._pendingCount >= this.hysteresis) {
+                this._stableLabel = candidate.label;
+                this._pendingLabel = null;
+                this._pendingCount = 0;
+            }
+        }
+        return {
+            label: this._stableLabel,
+            confidences: candidate.confidences
+        };
+    }
+
+    /**
+     * The labels of the last prediction sorted by confidence, highest first.
+     * @returns {Array.<{label: string, confidence: number}>} the ranked labels.
+     */
+    getRankedResults() {
+        const confidences = this.trainConfidences || {};
+        return Object.keys(confidences)
+            .filter(classIndex => this.labels[classIndex] != null)
+            .map(classIndex => ({
+                label: this.labels[classIndex],
+                confidence: confidences[classIndex]
+            }))
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Estimate how well KNN with the current settings classifies, by
+     * classifying every stored example with the examples outside its fold.
+     * A captured frame and its augmented variants always share a fold. The
+     * result is kept as `evaluation`, unless the examples changed while it
+     * ran.
+     * @param {number} folds - the number of folds, less than 2 for
+     *   leave-one-out.
+     * @returns {Promise} resolved once the evaluation finished.
+     */
+    evaluate(folds) {
+        const examplesVersion = this._examplesVersion;
+        return crossValidate(this.classifier.getClassifierDataset(), {
+            k: this.k,
+            folds,
+            metric: this.distanceMetric,
+            norms: this.exampleNorms,
+            groups: this.exampleGroups,
+            weighted: this.votingMode === VotingMode.WEIGHTED
+        }).then(evaluation => {
+            if (examplesVersion !== this._examplesVersion) {
+                this.evaluationStale = true;
+                return;
+            }
+            this.evaluation = evaluation;
+            this.evaluationStale = false;
+        });
+    }
+
+    /**
+     * Train the neural network on the current examples. Predictions keep
+     * using the previous network, or KNN, until training finished. Training
+     * again while it runs returns the running training. A network whose
+     * examples changed while it trained is dropped.
+     * @returns {Promise} resolved once training finished or failed.
+     */
+    trainNetwork() {
+        if (this._networkTraining) {
+            return this._networkTraining;
+        }
+        this.trainingProgress = 0;
+        const examplesVersion = this._examplesVersion;
+        this._networkTraining = this.transferHead.train(this.classifier.getClassifierDataset(), {
+            epochs: this.trainingEpochs,
+            learningRate: this.learningRate,
+            onProgress: fraction => {
+                this.trainingProgress = Math.round(fraction * 100);
+            }
+        })
+            .then(() => {
+                if (examplesVersion !== this._examplesVersion) {
+                    this.transferHead.dispose();
+                }
+            })
+            .catch(e => {
+                console.error('failed to train neural network:', e);
+            })
+            .then(() => {
+                this._networkTraining = null;
+            });
+        return this._networkTraining;
+    }
+}
+
+export {
+    ClassifierMode,
+    VotingMode,
+    SmoothingMode,
+    EvictionPolicy,
+    SimilarityMode
+};
+
+export default NamedClassifier;
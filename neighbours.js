@@ -0,0 +1,159 @@
+import * as tf from '@tensorflow/tfjs';
+
+/**
+ * Added to distances before inverting them, so an exact match does not
+ * divide by zero.
+ * @type {number}
+ */
+const EPSILON = 1e-6;
+
+/**
+ * Metrics embeddings can be compared with.
+ * @readonly
+ * @enum {string}
+ */
+const DistanceMetric = {
+    /** 1 minus the cosine similarity, which ignores the embedding length. */
+    COSINE: 'cosine',
+
+    /** The straight line distance. */
+    EUCLIDEAN: 'euclidean'
+};
+
+/**
+ * List every example of a dataset in the order `tf.concat` of the class
+ * matrices puts them.
+ * @param {Object.<string, tf.Tensor2D>} dataset - the examples of every
+ *   class index, as returned by `getClassifierDataset`.
+ * @param {Object.<string, Array.<number>>} [norms] - the original length of
+ *   every example by class index. Examples without one count as unit length.
+ * @returns {{classIndices: Array.<string>, examples: Array.<{classIndex: number,
+ *   index: number, norm: number}>}} the class indices that hold examples, and
+ *   the class index, position within the class and length of every example.
+ */
+const listExamples = (dataset, norms = {}) => {
+    const classIndices = Object.keys(dataset).filter(classIndex => dataset[classIndex]);
+    const examples = [];
+    classIndices.forEach(classIndex => {
+        const classNorms = norms[classIndex] || [];
+        for (let i = 0; i < dataset[classIndex].shape[0]; i++) {
+            examples.push({
+                classIndex: Number(classIndex),
+                index: i,
+                norm: classNorms[i] === undefined ? 1 : classNorms[i]
+            });
+        }
+    });
+    return {classIndices, examples};
+};
+
+/**
+ * Turn the cosine similarity of two embeddings into a distance.
+ * @param {number} similarity - the cosine similarity of the embeddings.
+ * @param {number} normA - the length of the first embedding.
+ * @param {number} normB - the length of the second embedding.
+ * @param {DistanceMetric} metric - how to measure the distance.
+ * @returns {number} the distance between the embeddings.
+ */
+const toDistance = (similarity, normA, normB, metric) => {
+    if (metric === DistanceMetric.EUCLIDEAN) {
+        return Math.sqrt(Math.max(0, (normA * normA) + (normB * normB) - (2 * normA * normB * similarity)));
+    }
+    return 1 - similarity;
+};
+
+/**
+ * Turn a cosine distance into a score from 0, for embeddings that have
+ * nothing in common, to 100, for embeddings pointing the same way.
+ * @param {number} distance - the cosine distance.
+ * @returns {number} the score, a whole number between 0 and 100.
+ */
+const toSimilarityScore = distance => Math.round(Math.max(0, Math.min(1, 1 - distance)) * 100);
+
+/**
+ * Find the stored examples closest to an embedding. The KNN classifier
+ * stores its examples at unit length, so Euclidean distances are computed
+ * from the cosine similarity and the length every example had before:
+ * |q - x|^2 = |q|^2 + |x|^2 - 2 |q| |x| cos(q, x).
+ * @param {Object.<string, tf.Tensor2D>} dataset - the examples of every
+ *   class index, as returned by `getClassifierDataset`.
+ * @param {tf.Tensor} logits - the embedding to compare.
+ * @param {number} k - how many neighbours to return.
+ * @param {DistanceMetric} [metric] - how to measure the distance.
+ * @param {Object.<string, Array.<number>>} [norms] - the original length of
+ *   every example by class index. Examples without one count as unit length.
+ * @returns {Promise.<Array.<{classIndex: number, index: number,
+ *   distance: number}>>} the nearest examples, closest first, with their
+ *   class index and their position within the class.
+ */
+const findNeighbours = (dataset, logits, k, metric = DistanceMetric.COSINE, norms = {}) => {
+    const {classIndices, examples: owners} = listExamples(dataset, norms);
+    if (!classIndices.length) {
+        return Promise.resolve([]);
+    }
+    // The first value is the length of the query, the rest its cosine
+    // similarity to every example.
+    const result = tf.tidy(() => {
+        const examples = tf.concat(classIndices.map(classIndex => dataset[classIndex]), 0);
+        const flat = logits.flatten();
+        const norm = flat.norm();
+        const query = flat.div(norm);
+        return tf.concat([norm.reshape([1]), examples.matMul(query.expandDims(1)).flatten()]);
+    });
+    return result.data().then(values => {
+        result.dispose();
+        const queryNorm = values[0];
+        const neighbours = owners.map(({classIndex, index, norm}, i) => ({
+            classIndex,
+            index,
+            distance: toDistance(values[i + 1], queryNorm, norm, metric)
+        }));
+        neighbours.sort((a, b) => a.distance - b.distance);
+        return neighbours.slice(0, k);
+    });
+};
+
+/**
+ * Let the neighbours vote for a class.
+ * @param {Array.<{classIndex: number, distance: number}>} neighbours - the
+ *   nearest examples, as returned by `findNeighbours`.
+ * @param {Array.<number|string>} classIndices - every class index that gets a
+ *   confidence, also when no neighbour voted for it.
+ * @param {boolean} weighted - whether nearer neighbours count more, by the
+ *   inverse of their distance, instead of one vote each.
+ * @returns {{classIndex: number, confidences: Object.<number, number>}} the
+ *   winning class index and the share of the vote of every class index, in
+ *   the shape `predictClass` of the KNN classifier returns them.
+ */
+const vote = (neighbours, classIndices, weighted) => {
+    const confidences = {};
+    classIndices.forEach(classIndex => {
+        confidences[classIndex] = 0;
+    });
+    let total = 0;
+    neighbours.forEach(({classIndex, distance}) => {
+        const weight = weighted ? 1 / (Math.max(distance, 0) + EPSILON) : 1;
+        confidences[classIndex] = (confidences[classIndex] || 0) + weight;
+        total += weight;
+    });
+    let winner = -1;
+    Object.keys(confidences).forEach(classIndex => {
+        confidences[classIndex] = total ? confidences[classIndex] / total : 0;
+        if (winner === -1 || confidences[classIndex] > confidences[winner]) {
+            winner = Number(classIndex);
+        }
+    });
+    return {
+        classIndex: winner,
+        confidences
+    };
+};
+
+export {
+    DistanceMetric,
+    listExamples,
+    toDistance,
+    toSimilarityScore,
+    findNeighbours,
+    vote
+};
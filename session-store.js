@@ -0,0 +1,89 @@
+/**
+ * Name of the IndexedDB database training sessions are checkpointed into.
+ * @type {string}
+ */
+const DB_NAME = 'cxknn';
+
+/**
+ * Version of the database schema.
+ * @type {number}
+ */
+const DB_VERSION = 1;
+
+/**
+ * Object store holding the checkpoints.
+ * @type {string}
+ */
+const STORE_NAME = 'sessions';
+
+/**
+ * Key of the checkpoint of the most recent training session.
+ * @type {string}
+ */
+const SESSION_KEY = 'last';
+
+/**
+ * Open the session database, creating its object store when needed.
+ * @returns {Promise.<IDBDatabase>} the opened database.
+ */
+const openDatabase = () => new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available.'));
+        return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run a single request against the session store in its own transaction.
+ * @param {string} mode - the transaction mode, readonly or readwrite.
+ * @param {function} makeRequest - creates the request from the object store.
+ * @returns {Promise} resolved with the request's result once the transaction
+ *   completed.
+ */
+const runRequest = (mode, makeRequest) => openDatabase().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = makeRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+    };
+    transaction.onerror = transaction.onabort = () => {
+        db.close();
+        reject(transaction.error);
+    };
+}));
+
+/**
+ * Checkpoint a serialized dataset as the most recent training session.
+ * @param {object} data - the serialized dataset.
+ * @returns {Promise} resolved once the checkpoint is written.
+ */
+const saveSession = data => runRequest('readwrite', store => store.put({
+    savedAt: Date.now(),
+    data
+}, SESSION_KEY));
+
+/**
+ * Read the most recent training session.
+ * @returns {Promise.<?{savedAt: number, data: object}>} the checkpoint, or
+ *   undefined when there is none.
+ */
+const loadSession = () => runRequest('readonly', store => store.get(SESSION_KEY));
+
+/**
+ * Forget the most recent training session.
+ * @returns {Promise} resolved once the checkpoint is removed.
+ */
+const clearSession = () => runRequest('readwrite', store => store.delete(SESSION_KEY));
+
+export {
+    saveSession,
+    loadSession,
+    clearSession
+};
@@ -0,0 +1,176 @@
+import * as tf from '@tensorflow/tfjs';
+
+/**
+ * Number of units in the hidden layer of the head.
+ * @type {number}
+ */
+const HIDDEN_UNITS = 100;
+
+/**
+ * Largest batch the head is trained with.
+ * @type {number}
+ */
+const BATCH_SIZE = 16;
+
+/**
+ * A small dense network trained on MobileNet embeddings, as an alternative
+ * to the KNN classifier. It predicts in constant time whatever the number of
+ * examples, at the cost of a training step.
+ */
+class TransferHead {
+    constructor() {
+        /**
+         * The trained model, null until `train` finished.
+         * @type {?tf.Model}
+         */
+        this.model = null;
+
+        /**
+         * The classifier class index of every output unit.
+         * @type {Array.<number>}
+         */
+        this.classIndices = [];
+    }
+
+    /**
+     * Train a new model on the examples of a KNN classifier dataset. The
+     * previous model stays in use until training finished.
+     * @param {Object.<string, tf.Tensor2D>} dataset - the examples of every
+     *   class index, as returned by `getClassifierDataset`.
+     * @param {object} options - how to train.
+     * @param {number} options.epochs - how many passes over the examples.
+     * @param {number} options.learningRate - the Adam learning rate.
+     * @param {function} [options.onProgress] - called with the fraction of
+     *   epochs done after every epoch.
+     * @returns {Promise} resolved once the new model is in use.
+     */
+    train(dataset, {epochs, learningRate, onProgress}) {
+        const classIndices = Object.keys(dataset)
+            .filter(classIndex => dataset[classIndex])
+            .map(classIndex => Number(classIndex));
+        if (classIndices.length < 2) {
+            return Promise.reject(new Error('At least two classes are needed to train.'));
+        }
+        const {xs, ys} = tf.tidy(() => {
+            const matrices = classIndices.map(classIndex => dataset[classIndex]);
+            const labels = [];
+            matrices.forEach((matrix, position) => {
+                for (let i = 0; i < matrix.shape[0]; i++) {
+                    labels.push(position);
+                }
+            });
+            return {
+                xs: tf.concat(matrices, 0),
+                ys: tf.oneHot(tf.tensor1d(labels, 'int32'), classIndices.length).toFloat()
+            };
+        });
+        const model = tf.sequential({
+            layers: [
+                tf.layers.dense({
+                    inputShape: [xs.shape[1]],
+                    units: HIDDEN_UNITS,
+                    activation: 'relu',
+                    kernelInitializer: 'varianceScaling',
+                    useBias: true
+                }),
+                tf.layers.dense({
+                    units: classIndices.length,
+                    activation: 'softmax',
+                    kernelInitializer: 'varianceScaling',
+                    useBias: false
+                })
+            ]
+        });
+        // The optimizer keeps its own moment variables, which the model does
+        // not free.
+        const optimizer = tf.train.adam(learningRate);
+        model.compile({
+            optimizer,
+            loss: 'categoricalCrossentropy'
+        });
+        return model.fit(xs, ys, {
+            batchSize: Math.min(BATCH_SIZE, xs.shape[0]),
+            epochs,
+            shuffle: true,
+            callbacks: {
+                onEpochEnd: epoch => {
+                    if (onProgress) {
+                        onProgress((epoch + 1) / epochs);
+                    }
+                    return tf.nextFrame();
+                }
+            }
+        })
+            .then(() => {
+                this.dispose();
+                this.model = model;
+                this.classIndices = classIndices;
+            }, e => {
+                model.dispose();
+                throw e;
+            })
+            .then(() => {
+                optimizer.dispose();
+                xs.dispose();
+                ys.dispose();
+            }, e => {
+                optimizer.dispose();
+                xs.dispose();
+                ys.dispose();
+                throw e;
+            });
+    }
+
+    /**
+     * Classify an embedding with the trained model.
+     * @param {tf.Tensor} logits - the MobileNet embedding to classify.
+     * @returns {Promise.<{classIndex: number, confidences: Object.<number, number>}>}
+     *   the most likely class index and the probability of every class index,
+     *   in the shape `predictClass` of the KNN classifier returns them.
+     */
+    predict(logits) {
+        const probabilities = tf.tidy(() => {
+            // The KNN classifier stores its examples at unit length, so the
+            // head was trained on unit length embeddings too.
+            const flat = logits.flatten();
+            const normalized = flat.div(flat.norm());
+            return this.model.predict(normalized.expandDims(0));
+        });
+        return probabilities.data().then(values => {
+            probabilities.dispose();
+            const confidences = {};
+            let best = 0;
+            this.classIndices.forEach((classIndex, position) => {
+                confidences[classIndex] = values[position];
+                if (values[position] > values[best]) {
+                    best = position;
+                }
+            });
+            return {
+                classIndex: this.classIndices[best],
+                confidences
+            };
+        });
+    }
+
+    /**
+     * Whether a model was trained and can predict.
+     * @returns {boolean} true once `train` finished.
+     */
+    isTrained() {
+        return Boolean(this.model);
+    }
+
+    /**
+     * Free the trained model.
+     */
+    dispose() {
+        if (this.model) {
+            this.model.dispose();
+            this.model = null;
+        }
+        this.classIndices = [];
+    }
+}
+
+export default TransferHead;